@@ -0,0 +1,392 @@
+// MapVoid firm filters
+// Everything that decides which firms a filter combination shows: the query language, the fuzzy
+// search index, refines, salary, radius and region. index.html loads this as a plain script
+// (window.MapVoidFilters); the pipeline requires it to match saved-search alerts
+// (scripts/lib/alerts.js), so an alert emails exactly the firms the map showed.
+// Firms are MapVoid index rows: { id, name, city, state, lat, lng, size, discipline, specialties, about_terms, jobs }.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.MapVoidFilters = factory();
+})(this, function () {
+
+const DISCIPLINE_LABELS = { architecture: 'Architecture', landscape: 'Landscape Architecture', urban: 'Urban Design', multi: 'Multidisciplinary' };
+
+// ── Job classification ──
+// Snapshots from before classification only have a title to go on
+function jobSeniority(j) {
+  if (j.seniority) return j.seniority;
+  const t = j.title.toLowerCase();
+  if (j.type === 'Internship' || /\bintern(ship)?\b/.test(t)) return /intern architect|architectural intern/.test(t) ? 'entry' : 'intern';
+  if (/\b(principal|director|partner)\b/.test(t)) return 'principal';
+  if (/\b(senior|sr\.?|lead|manager)\b/.test(t)) return 'senior';
+  if (/\b(junior|jr\.?|entry|graduate|assistant)\b/.test(t)) return 'entry';
+  return 'mid';
+}
+
+// ── Salary ──
+// The pipeline stores salary_min/salary_max in the posting's own period; everything here is annualized
+const ANNUAL_FACTORS = { year: 1, month: 12, week: 52, day: 260, hour: 2080 };
+
+// Older data only has display strings like "$62K–$88K"
+function parseSalaryLabel(label) {
+  const m = String(label || '').match(/\$(\d+(?:\.\d+)?)(K?)(?:\s*[–-]\s*\$(\d+(?:\.\d+)?)(K?))?(\/hr)?/i);
+  if (!m) return null;
+  const amt = (n, k) => parseFloat(n) * (k ? 1000 : 1);
+  const min = amt(m[1], m[2]);
+  const max = m[3] ? amt(m[3], m[4]) : min;
+  return { salary_min: min, salary_max: max, currency: 'USD', period: m[5] ? 'hour' : 'year' };
+}
+
+function annualSalary(job) {
+  const s = job.salary_min || job.salary_max ? job : parseSalaryLabel(job.salary);
+  if (!s || (s.currency && s.currency !== 'USD')) return null;
+  const factor = ANNUAL_FACTORS[s.period] || 1;
+  const min = (s.salary_min || s.salary_max) * factor;
+  const max = (s.salary_max || s.salary_min) * factor;
+  return { min, max, period: s.period || 'year' };
+}
+
+// Headcount, or NaN where firms-base.json says "Unknown". NaN fails every comparison,
+// so those firms match no size filter either way.
+function firmSize(f) {
+  return typeof f.size === 'number' ? f.size : NaN;
+}
+
+// Highest annual figure among a firm's jobs, used for sorting and the minimum-salary filter
+function firmTopSalary(f) {
+  return f.jobs.reduce((top, j) => {
+    const a = annualSalary(j);
+    return a && a.max > top ? a.max : top;
+  }, 0);
+}
+
+// ── Search index ──
+// Supports prefix matching, typo tolerance and field weights; every query word must match
+// somewhere for a firm to be returned. Scores depend on the whole list, so build it over every firm.
+const SEARCH_WEIGHTS = { name: 10, location: 6, job: 5, specialty: 4, discipline: 3, about: 1 };
+const STOP_WORDS = new Set(['a', 'an', 'and', 'at', 'for', 'in', 'of', 'on', 'the', 'to', 'with']);
+// Firm blurbs live in the detail shards; the index carries their first distinct words instead
+const ABOUT_TERMS = 24;
+
+function tokenize(text) {
+  return String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/).filter(t => t.length > 1 && !STOP_WORDS.has(t));
+}
+
+// "Pioneers of biophilic and sustainable architecture" → "pioneers biophilic sustainable architecture"
+function aboutTerms(about) {
+  return [...new Set(tokenize(about))].slice(0, ABOUT_TERMS).join(' ');
+}
+
+// → { postings: Map(token → Map(firmId → { score, fields })), vocab: [tokens], names: Map(firmId → name) }
+function buildSearchIndex(list) {
+  const postings = new Map();
+  const add = (text, field, firmId) => {
+    tokenize(text).forEach(t => {
+      if (!postings.has(t)) postings.set(t, new Map());
+      const entry = postings.get(t).get(firmId) || { score: 0, fields: new Set() };
+      // A field counts once per token so long descriptions don't drown out names
+      if (!entry.fields.has(field)) {
+        entry.score += SEARCH_WEIGHTS[field];
+        entry.fields.add(field);
+      }
+      postings.get(t).set(firmId, entry);
+    });
+  };
+  list.forEach(f => {
+    add(f.name, 'name', f.id);
+    add(f.city + ' ' + f.state, 'location', f.id);
+    add(DISCIPLINE_LABELS[f.discipline] || f.discipline, 'discipline', f.id);
+    f.specialties.forEach(s => add(s, 'specialty', f.id));
+    // Index rows carry about_terms; pipeline firms (alerts) have the full blurb
+    add(f.about_terms || aboutTerms(f.about), 'about', f.id);
+    f.jobs.forEach(j => add(j.title, 'job', f.id));
+  });
+  return { postings, vocab: [...postings.keys()], names: new Map(list.map(f => [f.id, f.name.toLowerCase()])) };
+}
+
+// Edit distance with an early exit once every cell in a row exceeds `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, cur[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// Index tokens that a query word matches, with a multiplier: exact 1, prefix 0.7, typo 0.5
+function expandToken(index, q) {
+  const matches = [];
+  const maxTypos = q.length >= 8 ? 2 : q.length >= 4 ? 1 : 0;
+  index.vocab.forEach(t => {
+    if (t === q) matches.push([t, 1]);
+    else if (q.length >= 2 && t.startsWith(q)) matches.push([t, 0.7]);
+    else if (maxTypos && editDistance(q, t.slice(0, q.length + maxTypos), maxTypos) <= maxTypos &&
+             editDistance(q, t, maxTypos) <= maxTypos) matches.push([t, 0.5]);
+  });
+  return matches;
+}
+
+function searchFirms(index, term) {
+  const words = tokenize(term);
+  const result = { term, scores: new Map(), tokens: new Set(), jobTokens: new Set() };
+  if (!index || words.length === 0) return result;
+  let scores = null;
+  words.forEach(q => {
+    const wordScores = new Map();
+    expandToken(index, q).forEach(([t, mult]) => {
+      index.postings.get(t).forEach((entry, firmId) => {
+        const s = entry.score * mult;
+        if (s > (wordScores.get(firmId) || 0)) wordScores.set(firmId, s);
+      });
+      result.tokens.add(t);
+    });
+    // AND across query words
+    if (scores === null) scores = wordScores;
+    else {
+      const next = new Map();
+      scores.forEach((s, id) => { if (wordScores.has(id)) next.set(id, s + wordScores.get(id)); });
+      scores = next;
+    }
+  });
+  // Whole-phrase bonus for names
+  const phrase = term.trim().toLowerCase();
+  scores.forEach((s, id) => {
+    const name = index.names.get(id);
+    if (name === phrase) scores.set(id, s + 50);
+    else if (name && name.includes(phrase)) scores.set(id, s + 20);
+  });
+  result.scores = scores;
+  return result;
+}
+
+// ── Query language ──
+// The search box accepts qualifiers alongside free text, e.g.
+//   discipline:landscape state:CA,OR size:<50 level:entry work:hybrid -specialty:residential
+// Comma-separated values are ORed, a leading "-" negates, and size/jobs take <, <=, >, >=, = or a-b ranges.
+// Anything without a qualifier goes through the fuzzy search index.
+const QUERY_FIELDS = {
+  discipline: {
+    hint: 'architecture, landscape, urban, multi',
+    test: (f, v) => f.discipline === v || f.discipline.startsWith(v) || (DISCIPLINE_LABELS[f.discipline] || '').toLowerCase().startsWith(v)
+  },
+  state: { hint: 'two-letter code', test: (f, v) => f.state.toLowerCase() === v },
+  city: { hint: 'city name', test: (f, v) => f.city.toLowerCase().includes(v) },
+  specialty: { hint: 'e.g. healthcare', test: (f, v) => f.specialties.some(s => s.toLowerCase().includes(v)) },
+  job: { hint: 'words in a job title', test: (f, v) => f.jobs.some(j => j.title.toLowerCase().includes(v)) },
+  type: { hint: 'job type', test: (f, v) => f.jobs.some(j => (j.type || '').toLowerCase().includes(v)) },
+  level: { hint: 'job seniority', test: (f, v) => f.jobs.some(j => jobSeniority(j).startsWith(v)) },
+  role: { hint: 'role family, e.g. bim', test: (f, v) => f.jobs.some(j => (j.role_family || '').startsWith(v)) },
+  work: { hint: 'remote, hybrid, onsite', test: (f, v) => f.jobs.some(j => (j.work_arrangement || '').startsWith(v)) },
+  name: { hint: 'firm name', test: (f, v) => f.name.toLowerCase().includes(v) },
+  size: { hint: '<50, >=100, 20-99', numeric: firmSize },
+  jobs: { hint: 'open roles, e.g. >0', numeric: f => f.jobs.length },
+  salary: { hint: 'annual, e.g. >=60k', numeric: firmTopSalary }
+};
+
+function parseNumericValue(v) {
+  const num = (n, k) => Number(n) * (k ? 1000 : 1);
+  let m = v.match(/^(<=|>=|<|>|=)?\s*(\d+)(k?)$/);
+  if (m) return { op: m[1] || '=', n: num(m[2], m[3]) };
+  m = v.match(/^(\d+)(k?)-(\d+)(k?)$/);
+  if (m) return { op: 'range', n: num(m[1], m[2]), max: num(m[3], m[4]) };
+  return null;
+}
+
+function compareNumber(x, c) {
+  switch (c.op) {
+    case '<': return x < c.n;
+    case '<=': return x <= c.n;
+    case '>': return x > c.n;
+    case '>=': return x >= c.n;
+    case 'range': return x >= c.n && x <= c.max;
+    default: return x === c.n;
+  }
+}
+
+function parseQuery(input) {
+  const clauses = [];
+  const errors = [];
+  const text = [];
+  const re = /(-?)([a-z]+):("[^"]*"|\S*)|("[^"]*")|(\S+)/gi;
+  let m;
+  while ((m = re.exec(input || '')) !== null) {
+    if (m[2] && QUERY_FIELDS[m[2].toLowerCase()]) {
+      const field = m[2].toLowerCase();
+      const raw = m[3].replace(/^"|"$/g, '');
+      const values = raw.split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+      if (values.length === 0) continue; // still typing
+      const clause = { field, negate: m[1] === '-', values };
+      if (QUERY_FIELDS[field].numeric) {
+        clause.values = values.map(parseNumericValue);
+        if (clause.values.some(v => !v)) {
+          errors.push(field + ':' + raw + ' — expected a number like <50, >=100 or 20-99');
+          continue;
+        }
+      }
+      clauses.push(clause);
+    } else {
+      text.push((m[4] || m[0]).replace(/^"|"$/g, ''));
+    }
+  }
+  return { clauses, text: text.join(' '), errors };
+}
+
+function matchClause(f, clause) {
+  const def = QUERY_FIELDS[clause.field];
+  const hit = def.numeric
+    ? clause.values.some(c => compareNumber(def.numeric(f), c))
+    : clause.values.some(v => def.test(f, v));
+  return clause.negate ? !hit : hit;
+}
+
+// ── Refines ──
+const specialtyHas = (f, ...words) => f.specialties.some(s => words.some(w => s.toLowerCase().includes(w)));
+
+const REFINES = {
+  jobs: { label: 'Has open jobs', test: f => f.jobs.length > 0 },
+  large: { label: '100+ employees', test: f => firmSize(f) >= 100 },
+  small: { label: 'Boutique (<20)', test: f => firmSize(f) < 20 },
+  sustainable: { label: 'Sustainable', test: f => specialtyHas(f, 'sustainable', 'ecological') },
+  healthcare: { label: 'Healthcare', test: f => specialtyHas(f, 'healthcare', 'healing') },
+  residential: { label: 'Residential', test: f => specialtyHas(f, 'residential', 'housing') },
+  parks: { label: 'Parks & public', test: f => specialtyHas(f, 'park', 'public') },
+  planning: { label: 'Planning', test: f => specialtyHas(f, 'planning', 'urban') },
+  internship: { label: 'Internship', test: f => f.jobs.some(j => jobSeniority(j) === 'intern') },
+  entry: { label: 'Entry level', test: f => f.jobs.some(j => jobSeniority(j) === 'entry') },
+  senior: { label: 'Senior/Director', test: f => f.jobs.some(j => ['senior', 'principal'].includes(jobSeniority(j))) },
+  remote: { label: 'Remote/Hybrid', test: f => f.jobs.some(j => j.work_arrangement === 'remote' || j.work_arrangement === 'hybrid') }
+};
+
+// ── Geography ──
+function distanceMiles(lat1, lng1, lat2, lng2) {
+  const toRad = x => x * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 3958.8 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Ray casting on lat/lng — fine at the scale of a metro or corridor
+function pointInPolygon(lat, lng, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [yi, xi] = points[i];
+    const [yj, xj] = points[j];
+    if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+// Compact encoding for the URL: "lat lng;lat lng;..."
+function encodeRegion(points) {
+  return points.map(p => p[0] + ' ' + p[1]).join(';');
+}
+
+function decodeRegion(str) {
+  const points = (str || '').split(';').map(pair => pair.trim().split(/\s+/).map(Number))
+    .filter(p => p.length === 2 && !isNaN(p[0]) && !isNaN(p[1]));
+  return points.length >= 3 ? points : null;
+}
+
+// ── Filtering ──
+// A filter combination, as MapVoid holds it and as saved alerts store it:
+//   { disciplines: [], state: 'all' | 'CA', refines: [], specialty: '', q: '', minSalary: 0,
+//     near: null | { lat, lng, radius, label }, region: null | { name, points } }
+const EMPTY_FILTERS = { disciplines: [], state: 'all', refines: [], specialty: '', q: '', minSalary: 0, near: null, region: null };
+
+/**
+ * Firms in `list` that pass every filter. `search` is searchFirms() over the whole dataset for the
+ * query's free text; MapVoid passes the one it already ran, anything else gets one built over `list`.
+ */
+function filterFirms(list, filters, search) {
+  const fl = Object.assign({}, EMPTY_FILTERS, filters);
+  let filtered = [...list];
+  if (fl.specialty) {
+    filtered = filtered.filter(f =>
+      f.specialties.some(s => s.toLowerCase().includes(fl.specialty.toLowerCase()))
+    );
+  }
+  const query = parseQuery(fl.q);
+  query.clauses.forEach(c => {
+    filtered = filtered.filter(f => matchClause(f, c));
+  });
+  if (query.text) {
+    const result = search && search.term === query.text ? search : searchFirms(buildSearchIndex(list), query.text);
+    filtered = filtered.filter(f => result.scores.has(f.id));
+  }
+  if (fl.disciplines.length > 0) {
+    filtered = filtered.filter(f => fl.disciplines.includes(f.discipline));
+  }
+  if (fl.state !== 'all') {
+    filtered = filtered.filter(f => f.state === fl.state);
+  }
+  if (fl.near) {
+    filtered = filtered.filter(f => distanceMiles(fl.near.lat, fl.near.lng, f.lat, f.lng) <= fl.near.radius);
+  }
+  if (fl.region) {
+    filtered = filtered.filter(f => pointInPolygon(f.lat, f.lng, fl.region.points));
+  }
+  if (fl.minSalary > 0) {
+    filtered = filtered.filter(f => firmTopSalary(f) >= fl.minSalary);
+  }
+  fl.refines.forEach(refine => {
+    if (REFINES[refine]) filtered = filtered.filter(REFINES[refine].test);
+  });
+  return filtered;
+}
+
+// The filter part of a MapVoid deep link (same parameters the map keeps in its URL)
+function filterParams(filters) {
+  const fl = Object.assign({}, EMPTY_FILTERS, filters);
+  const p = new URLSearchParams();
+  if (fl.disciplines.length > 0) p.set('discipline', fl.disciplines.join(','));
+  if (fl.refines.length > 0) p.set('refine', fl.refines.join(','));
+  if (fl.q) p.set('q', fl.q);
+  if (fl.state !== 'all') p.set('state', fl.state);
+  if (fl.specialty) p.set('specialty', fl.specialty);
+  if (fl.minSalary) p.set('minSalary', fl.minSalary);
+  if (fl.near) {
+    p.set('near', [fl.near.lat, fl.near.lng, fl.near.radius].join(','));
+    p.set('place', fl.near.label);
+  }
+  if (fl.region) {
+    p.set('region', encodeRegion(fl.region.points));
+    p.set('regionName', fl.region.name);
+  }
+  return p;
+}
+
+// One line naming a filter combination, for the alert dialog and digest emails
+function describeFilters(filters) {
+  const fl = Object.assign({}, EMPTY_FILTERS, filters);
+  const parts = [];
+  if (fl.disciplines.length > 0) parts.push(fl.disciplines.map(d => DISCIPLINE_LABELS[d] || d).join(' or '));
+  if (fl.state !== 'all') parts.push(fl.state);
+  if (fl.near) parts.push('within ' + fl.near.radius + ' mi of ' + fl.near.label);
+  if (fl.region) parts.push('in ' + fl.region.name);
+  if (fl.specialty) parts.push(fl.specialty);
+  fl.refines.forEach(r => { if (REFINES[r]) parts.push(REFINES[r].label.toLowerCase()); });
+  if (fl.minSalary) parts.push('$' + Math.round(fl.minSalary / 1000) + 'K+');
+  if (fl.q) parts.push('“' + fl.q + '”');
+  return parts.join(' · ') || 'All firms';
+}
+
+return {
+  DISCIPLINE_LABELS, QUERY_FIELDS, REFINES, EMPTY_FILTERS,
+  jobSeniority, parseSalaryLabel, annualSalary, firmSize, firmTopSalary,
+  tokenize, aboutTerms, buildSearchIndex, searchFirms,
+  parseQuery, matchClause,
+  distanceMiles, pointInPolygon, encodeRegion, decodeRegion,
+  filterFirms, filterParams, describeFilters
+};
+});
@@ -0,0 +1,164 @@
+// MapVoid service worker
+// Precaches the app shell, Leaflet and the current data snapshot so the map keeps
+// working offline. The shell and latest.json are served stale-while-revalidate;
+// content-hashed data shards and versioned unpkg assets never change, so they are
+// served cache-first. Bump VERSION when the precache list changes.
+
+const VERSION = 'v3';
+const SHELL_CACHE = `mapvoid-shell-${VERSION}`;
+const DATA_CACHE = `mapvoid-data-${VERSION}`;
+const TILE_CACHE = `mapvoid-tiles-${VERSION}`;
+const MAX_TILES = 400;
+const DATA_PATH = new URL('data/', self.location).pathname;
+// Feed readers need the live file, and nothing offline reads the feeds
+const FEEDS_PATH = new URL('feeds/', self.location).pathname;
+
+// The page is reachable as both mapvoid/ and mapvoid/index.html
+const SHELL = [
+  './',
+  './index.html',
+  'filters.js',
+  'gazetteer.json',
+  '../shared/styles.css',
+  '../shared/scripts.js',
+  '../favicon.svg',
+  '../fonts/CircularStd-Book.otf',
+  '../fonts/CircularStd-Medium.otf',
+  '../fonts/CircularStd-Bold.otf',
+  'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+  'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+  'https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.css',
+  'https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.Default.css',
+  'https://unpkg.com/leaflet.markercluster@1.5.3/dist/leaflet.markercluster.js'
+];
+
+// ── Install: shell plus the snapshot latest.json points at ──
+// The index, the job lists and every state's detail shard, so any firm opens offline;
+// description shards stay on demand
+async function cacheSnapshot(latest) {
+  const cache = await caches.open(DATA_CACHE);
+  const indexUrl = 'data/' + latest.index;
+  if (!(await cache.match(indexUrl))) await cache.add(indexUrl);
+  const index = await (await cache.match(indexUrl)).json();
+  const missing = [];
+  for (const file of [index.jobs, ...Object.values(index.details)]) {
+    if (file && !(await cache.match('data/' + file))) missing.push('data/' + file);
+  }
+  await cache.addAll(missing);
+}
+
+async function precacheData() {
+  const cache = await caches.open(DATA_CACHE);
+  const resp = await fetch('data/latest.json', { cache: 'no-cache' });
+  if (!resp.ok) return;
+  const latest = await resp.clone().json();
+  await cache.put('data/latest.json', resp);
+  await cacheSnapshot(latest);
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil(Promise.all([
+    caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL)),
+    precacheData().catch(() => {})
+  ]).then(() => self.skipWaiting()));
+});
+
+// ── Data pruning: keep only the shards the cached latest.json can reach ──
+async function pruneData() {
+  const cache = await caches.open(DATA_CACHE);
+  const latestResp = await cache.match('data/latest.json');
+  if (!latestResp) return;
+  const latest = await latestResp.json();
+  const indexResp = await cache.match('data/' + latest.index);
+  if (!indexResp) return;
+  const index = await indexResp.json();
+  const live = new Set(['latest.json', latest.index, index.jobs, ...Object.values(index.details)]);
+  // Description shards are only named inside detail shards, so keep the ones a live detail shard points at
+  for (const file of Object.values(index.details)) {
+    const detail = await cache.match('data/' + file);
+    if (!detail) continue;
+    Object.values(await detail.json()).forEach(d => { if (d.descriptions) live.add(d.descriptions); });
+  }
+  for (const req of await cache.keys()) {
+    if (!live.has(new URL(req.url).pathname.split('/').pop())) await cache.delete(req);
+  }
+}
+
+// ── Activate: drop caches from older versions ──
+self.addEventListener('activate', event => {
+  const keep = [SHELL_CACHE, DATA_CACHE, TILE_CACHE];
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys.filter(k => k.startsWith('mapvoid-') && !keep.includes(k)).map(k => caches.delete(k))))
+    .then(() => self.clients.claim()));
+});
+
+// ── Strategies ──
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const resp = await fetch(request);
+  if (resp.ok || resp.type === 'opaque') cache.put(request, resp.clone());
+  return resp;
+}
+
+// Query strings only carry MapVoid view state, so pages are cached by path
+async function staleWhileRevalidate(request, cacheName, onUpdate) {
+  const cache = await caches.open(cacheName);
+  const key = request.url.split('?')[0];
+  const cached = await cache.match(key);
+  const network = fetch(request).then(async resp => {
+    if (resp.ok) {
+      await cache.put(key, resp.clone());
+      if (onUpdate) await onUpdate(resp.clone());
+    }
+    return resp;
+  });
+  if (cached) {
+    network.catch(() => {});
+    return cached;
+  }
+  return network;
+}
+
+// A new latest.json means a new snapshot: fetch its shards now so the next visit
+// (or the next offline one) already has them, then drop the old ones
+async function onLatest(resp) {
+  await cacheSnapshot(await resp.json());
+  await pruneData();
+}
+
+async function cacheTile(request) {
+  const cache = await caches.open(TILE_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const resp = await fetch(request);
+  // Tiles are requested with CORS (crossOrigin on the tile layer); opaque responses would eat the storage quota
+  if (resp.ok) {
+    await cache.put(request, resp.clone());
+    const keys = await cache.keys();
+    // Oldest first; keep the cache bounded to roughly the areas browsed recently
+    for (const key of keys.slice(0, Math.max(0, keys.length - MAX_TILES))) await cache.delete(key);
+  }
+  return resp;
+}
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (url.hostname.endsWith('basemaps.cartocdn.com')) {
+    event.respondWith(cacheTile(request));
+  } else if (url.hostname === 'unpkg.com') {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+  } else if (url.origin !== self.location.origin || url.pathname.startsWith(FEEDS_PATH)) {
+    return;
+  } else if (url.pathname === DATA_PATH + 'latest.json') {
+    event.respondWith(staleWhileRevalidate(request, DATA_CACHE, onLatest));
+  } else if (url.pathname.startsWith(DATA_PATH)) {
+    event.respondWith(cacheFirst(request, DATA_CACHE));
+  } else {
+    event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+  }
+});
@@ -0,0 +1,60 @@
+/**
+ * Ashby job board adapter.
+ * API: https://developers.ashbyhq.com/docs/public-job-posting-api
+ */
+
+const { toISO, jobId, normalizeType } = require('./common');
+const { makeSalary, parseSalaryText, applySalary } = require('../lib/salary');
+const { applyClassification } = require('../lib/classify');
+const { sanitizeHtml, textToHtml } = require('../lib/sanitize');
+
+function extractSalary(j) {
+  const comp = j.compensation || {};
+  const base = (comp.summaryComponents || []).find(c => c.compensationType === 'Salary');
+  if (base) {
+    const salary = makeSalary(base.minValue, base.maxValue, base.currencyCode, base.interval);
+    if (salary) return salary;
+  }
+  return parseSalaryText(comp.compensationTierSummary) || parseSalaryText(j.descriptionPlain);
+}
+
+module.exports = {
+  id: 'ashby',
+  label: 'Ashby',
+  slugField: 'ashby_slug',
+  careersLink: /jobs\.ashbyhq\.com\/([\w.-]+)/gi,
+
+  boardUrl(slug) {
+    return `https://api.ashbyhq.com/posting-api/job-board/${slug}?includeCompensation=true`;
+  },
+
+  isBoard(data) {
+    return !!data && Array.isArray(data.jobs);
+  },
+
+  boardInfo(data) {
+    return { company: null, locations: data.jobs.map(j => j.location).filter(Boolean) };
+  },
+
+  toJobs(data) {
+    return data.jobs
+      .filter(j => j.isListed !== false)
+      .map(j => applyClassification(applySalary({
+        id: jobId('ashby', j.id, j.jobUrl, j.title),
+        title: j.title || 'Untitled',
+        // employmentType is one of FullTime, PartTime, Intern, Contract, Temporary
+        type: normalizeType((j.employmentType || '').replace(/([a-z])([A-Z])/g, '$1-$2'), j.title),
+        salary: (j.compensation && j.compensation.compensationTierSummary) || 'See listing',
+        posted_at: toISO(j.publishedAt),
+        url: j.jobUrl || j.applyUrl || '',
+        description: j.descriptionHtml ? sanitizeHtml(j.descriptionHtml) : textToHtml(j.descriptionPlain)
+      }, extractSalary(j)), {
+        department: j.department || j.team,
+        location: j.location,
+        // workplaceType is one of OnSite, Remote, Hybrid
+        workplace: j.workplaceType,
+        remote: j.isRemote,
+        description: j.descriptionPlain
+      }));
+  }
+};
@@ -0,0 +1,52 @@
+/**
+ * BambooHR careers page adapter.
+ * The public careers list has no API docs; /careers/list returns JSON.
+ */
+
+const { jobId, normalizeType } = require('./common');
+const { applyClassification } = require('../lib/classify');
+
+// locationType: 0 on-site, 1 remote, 2 hybrid
+const WORKPLACE = { 0: 'onsite', 1: 'remote', 2: 'hybrid' };
+
+module.exports = {
+  id: 'bamboohr',
+  label: 'BambooHR',
+  slugField: 'bamboohr_slug',
+  // www. and api. are BambooHR itself, not a company's board
+  careersLink: /\/\/(?!(?:www|api)\.)([\w-]+)\.bamboohr\.com/gi,
+
+  boardUrl(slug) {
+    return `https://${slug}.bamboohr.com/careers/list`;
+  },
+
+  isBoard(data) {
+    return !!data && Array.isArray(data.result);
+  },
+
+  // The careers list doesn't name the company
+  boardInfo(data) {
+    return { company: null, locations: data.result.map(j => j.location && [j.location.city, j.location.state].filter(Boolean).join(', ')).filter(Boolean) };
+  },
+
+  toJobs(data, slug) {
+    // The list endpoint carries no posting date; first_seen stands in for it
+    return data.result.map(j => {
+      const url = j.id ? `https://${slug}.bamboohr.com/careers/${j.id}` : '';
+      const location = j.location || {};
+      return applyClassification({
+        id: jobId('bamboohr', j.id && `${slug}-${j.id}`, url, j.jobOpeningName),
+        title: j.jobOpeningName || 'Untitled',
+        type: normalizeType(j.employmentStatusLabel, j.jobOpeningName),
+        salary: 'See listing',
+        posted_at: null,
+        url
+      }, {
+        department: j.departmentLabel,
+        location: [location.city, location.state].filter(Boolean).join(', '),
+        workplace: WORKPLACE[j.locationType],
+        remote: j.isRemote
+      });
+    });
+  }
+};
@@ -0,0 +1,39 @@
+/**
+ * Helpers shared by the ATS adapters.
+ */
+
+const crypto = require('crypto');
+
+// Normalize an ATS timestamp (ISO string, date-only string or epoch ms) to ISO
+function toISO(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const d = new Date(value);
+  return isNaN(d) ? null : d.toISOString();
+}
+
+// Stable job ID: the ATS's own posting ID when there is one,
+// otherwise a hash of URL and title
+function jobId(source, atsId, url, title) {
+  if (atsId !== null && atsId !== undefined && atsId !== '') {
+    const clean = String(atsId).replace(/[^A-Za-z0-9_-]/g, '');
+    if (clean) return `${source}-${clean}`;
+  }
+  const hash = crypto.createHash('sha1').update((url || '') + '|' + (title || '')).digest('hex');
+  return `${source}-h${hash.slice(0, 12)}`;
+}
+
+// Guess employment type from free text (title, department, commitment label)
+function inferType(text) {
+  const t = (text || '').toLowerCase();
+  if (/intern/.test(t)) return 'Internship';
+  if (/part[\s-]?time/.test(t)) return 'Part-time';
+  if (/contract|freelance|temporary/.test(t)) return 'Contract';
+  return null;
+}
+
+// Map an ATS employment-type label onto our four display values
+function normalizeType(label, title) {
+  return inferType(title) || inferType(label) || 'Full-time';
+}
+
+module.exports = { toISO, jobId, inferType, normalizeType };
@@ -0,0 +1,94 @@
+/**
+ * Greenhouse job board adapter.
+ * API: https://developers.greenhouse.io/job-board.html
+ */
+
+const { toISO, jobId, inferType } = require('./common');
+const { makeSalary, parseSalaryText, applySalary } = require('../lib/salary');
+const { applyClassification } = require('../lib/classify');
+const { sanitizeHtml, htmlToText, decodeEntities } = require('../lib/sanitize');
+
+function extractType(ghJob) {
+  // Try to infer type from Greenhouse job metadata
+  if (ghJob.metadata) {
+    for (const m of ghJob.metadata) {
+      if (m.name && m.name.toLowerCase().includes('type') && m.value) return m.value;
+    }
+  }
+  // Check departments
+  if (ghJob.departments && ghJob.departments.length > 0) {
+    const type = inferType(ghJob.departments[0].name);
+    if (type) return type;
+  }
+  // Check title
+  return inferType(ghJob.title) || 'Full-time';
+}
+
+// Some boards expose pay ranges as custom metadata ("Salary Range", "Pay Range", ...);
+// otherwise look for a pay-transparency range in the posting
+function extractSalary(ghJob, text) {
+  for (const m of ghJob.metadata || []) {
+    if (!m.name || !/salary|pay|compensation/i.test(m.name) || !m.value) continue;
+    // currency_range fields hold { min_value, max_value, unit }, currency fields { amount, unit }
+    const salary = typeof m.value === 'object'
+      ? makeSalary(m.value.min_value || m.value.amount, m.value.max_value || m.value.amount, m.value.unit, periodFromName(m.name))
+      : parseSalaryText(String(m.value).startsWith('$') ? String(m.value) : '$' + m.value);
+    if (salary) return salary;
+  }
+  return parseSalaryText(text);
+}
+
+// "Hourly Pay Range" → hour; makeSalary guesses from the amount otherwise
+function periodFromName(name) {
+  const m = name.match(/\b(hour|day|week|month|year|annual)/i);
+  return m ? (m[1].toLowerCase() === 'annual' ? 'year' : m[1]) : null;
+}
+
+function classifySignals(ghJob, text) {
+  const workplace = (ghJob.metadata || []).find(m => m.name && /workplace|remote|location type/i.test(m.name) && typeof m.value === 'string');
+  return {
+    department: ghJob.departments && ghJob.departments[0] && ghJob.departments[0].name,
+    location: ghJob.location && ghJob.location.name,
+    workplace: workplace && workplace.value,
+    description: text
+  };
+}
+
+module.exports = {
+  id: 'greenhouse',
+  label: 'Greenhouse',
+  slugField: 'greenhouse_slug',
+  careersLink: /(?:job-)?boards(?:\.eu)?\.greenhouse\.io\/(?:embed\/job_board(?:\/js)?\?for=)?(?!embed\b)([\w-]+)/gi,
+
+  boardUrl(slug) {
+    return `https://boards-api.greenhouse.io/v1/boards/${slug}/jobs?content=true`;
+  },
+
+  isBoard(data) {
+    return !!data && Array.isArray(data.jobs);
+  },
+
+  boardInfo(data) {
+    return {
+      company: (data.jobs.find(j => j.company_name) || {}).company_name || null,
+      locations: data.jobs.map(j => j.location && j.location.name).filter(Boolean)
+    };
+  },
+
+  toJobs(data) {
+    return data.jobs.map(j => {
+      // content is entity-encoded HTML
+      const description = sanitizeHtml(decodeEntities(j.content));
+      const text = htmlToText(description);
+      return applyClassification(applySalary({
+        id: jobId('greenhouse', j.id, j.absolute_url, j.title),
+        title: j.title || 'Untitled',
+        type: extractType(j),
+        salary: 'See listing',
+        posted_at: toISO(j.first_published || j.updated_at),
+        url: j.absolute_url || '',
+        description
+      }, extractSalary(j, text)), classifySignals(j, text));
+    });
+  }
+};
@@ -0,0 +1,37 @@
+/**
+ * ATS adapter registry.
+ *
+ * Every adapter exports the same interface:
+ *   id          short source name used in logs and stats
+ *   label       display name
+ *   slugField   field on a firms-base.json entry that holds the board slug
+ *   boardUrl(slug)       public JSON endpoint for the board
+ *   isBoard(data)        true if a parsed response is a real job board (used by probe-ats.js)
+ *   boardInfo(data)      { company, locations } the board reveals, for verifying a probed match
+ *   careersLink          global RegExp for links to a board on a firm's careers page; group 1 is the slug
+ *   toJobs(data, slug)   map a parsed response to [{ id, title, type, salary, posted_at, url }]
+ *
+ * `id` is stable across runs (see common.jobId); `posted_at` is ISO or null.
+ * When the board exposes pay, jobs also carry salary_min, salary_max, currency
+ * and period (see lib/salary.js) and `salary` is formatted from them.
+ * Every job is also classified by seniority, role_family and work_arrangement
+ * (see lib/classify.js) from its title plus whatever metadata the board exposes.
+ *
+ * Adapters never touch the network, so toJobs() can be run directly
+ * against a recorded JSON response.
+ */
+
+const ADAPTERS = [
+  require('./greenhouse'),
+  require('./lever'),
+  require('./ashby'),
+  require('./workable'),
+  require('./smartrecruiters'),
+  require('./bamboohr')
+];
+
+function getAdapter(id) {
+  return ADAPTERS.find(a => a.id === id) || null;
+}
+
+module.exports = { ADAPTERS, getAdapter };
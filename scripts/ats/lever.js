@@ -0,0 +1,64 @@
+/**
+ * Lever postings adapter.
+ * API: https://github.com/lever/postings-api
+ */
+
+const { toISO, jobId, normalizeType } = require('./common');
+const { makeSalary, parseSalaryText, applySalary } = require('../lib/salary');
+const { applyClassification } = require('../lib/classify');
+const { sanitizeHtml, textToHtml, escapeHtml } = require('../lib/sanitize');
+
+// Structured salaryRange first, then any range quoted in the posting text
+function extractSalary(j) {
+  const r = j.salaryRange;
+  if (r) {
+    const salary = makeSalary(r.min, r.max, r.currency, r.interval);
+    if (salary) return salary;
+  }
+  return parseSalaryText([j.descriptionPlain, j.additionalPlain].filter(Boolean).join('\n'));
+}
+
+// descriptionPlain plus the requirement/benefit lists, which only come as HTML
+function extractDescription(j) {
+  const lists = (j.lists || []).map(l => `<h4>${escapeHtml(l.text || '')}</h4><ul>${l.content || ''}</ul>`);
+  return sanitizeHtml([textToHtml(j.descriptionPlain), ...lists, textToHtml(j.additionalPlain)].join(''));
+}
+
+module.exports = {
+  id: 'lever',
+  label: 'Lever',
+  slugField: 'lever_slug',
+  careersLink: /jobs\.lever\.co\/([\w-]+)/gi,
+
+  boardUrl(slug) {
+    return `https://api.lever.co/v0/postings/${slug}?mode=json`;
+  },
+
+  isBoard(data) {
+    return Array.isArray(data);
+  },
+
+  // Postings don't name the company
+  boardInfo(data) {
+    return { company: null, locations: data.map(j => j.categories && j.categories.location).filter(Boolean) };
+  },
+
+  toJobs(data) {
+    return data.map(j => applyClassification(applySalary({
+      id: jobId('lever', j.id, j.hostedUrl, j.text),
+      title: j.text || 'Untitled',
+      type: (j.categories && j.categories.commitment)
+        ? normalizeType(j.categories.commitment, j.text)
+        : 'Full-time',
+      salary: 'See listing',
+      posted_at: toISO(j.createdAt),
+      url: j.hostedUrl || '',
+      description: extractDescription(j)
+    }, extractSalary(j)), {
+      department: j.categories && (j.categories.department || j.categories.team),
+      location: j.categories && j.categories.location,
+      workplace: j.workplaceType,
+      description: j.descriptionPlain
+    }));
+  }
+};
@@ -0,0 +1,53 @@
+/**
+ * SmartRecruiters posting API adapter.
+ * API: https://developers.smartrecruiters.com/docs/posting-api
+ */
+
+const { toISO, jobId, normalizeType } = require('./common');
+const { applyClassification } = require('../lib/classify');
+
+module.exports = {
+  id: 'smartrecruiters',
+  label: 'SmartRecruiters',
+  slugField: 'smartrecruiters_slug',
+  careersLink: /(?:careers|jobs)\.smartrecruiters\.com\/([\w-]+)/gi,
+
+  boardUrl(slug) {
+    return `https://api.smartrecruiters.com/v1/companies/${slug}/postings?limit=100`;
+  },
+
+  // An unknown company still returns 200 with an empty list, so require postings
+  isBoard(data) {
+    return !!data && Array.isArray(data.content) && data.totalFound > 0;
+  },
+
+  boardInfo(data) {
+    const withCompany = data.content.find(j => j.company && j.company.name);
+    return {
+      company: withCompany ? withCompany.company.name : null,
+      locations: data.content.map(j => j.location && [j.location.city, j.location.region].filter(Boolean).join(', ')).filter(Boolean)
+    };
+  },
+
+  toJobs(data, slug) {
+    return data.content.map(j => {
+      const company = (j.company && j.company.identifier) || slug;
+      const url = j.id ? `https://jobs.smartrecruiters.com/${company}/${j.id}` : '';
+      const location = j.location || {};
+      return applyClassification({
+        id: jobId('smartrecruiters', j.id, url, j.name),
+        title: j.name || 'Untitled',
+        type: normalizeType(j.typeOfEmployment && j.typeOfEmployment.label, j.name),
+        salary: 'See listing',
+        posted_at: toISO(j.releasedDate),
+        url
+      }, {
+        department: (j.department && j.department.label) || (j.function && j.function.label),
+        location: [location.city, location.region].filter(Boolean).join(', '),
+        remote: location.remote,
+        hybrid: location.hybrid,
+        experienceLevel: j.experienceLevel && j.experienceLevel.label
+      });
+    });
+  }
+};
@@ -0,0 +1,45 @@
+/**
+ * Workable careers widget adapter.
+ * API: https://workable.readme.io/docs/job-board-widget
+ */
+
+const { toISO, jobId, normalizeType } = require('./common');
+const { applyClassification } = require('../lib/classify');
+
+module.exports = {
+  id: 'workable',
+  label: 'Workable',
+  slugField: 'workable_slug',
+  careersLink: /apply\.workable\.com\/(?!api\b)([\w-]+)/gi,
+
+  boardUrl(slug) {
+    return `https://apply.workable.com/api/v1/widget/accounts/${slug}`;
+  },
+
+  isBoard(data) {
+    return !!data && Array.isArray(data.jobs);
+  },
+
+  boardInfo(data) {
+    return { company: data.name || null, locations: data.jobs.map(j => [j.city, j.state].filter(Boolean).join(', ')).filter(Boolean) };
+  },
+
+  toJobs(data) {
+    return data.jobs.map(j => {
+      const url = j.url || j.shortlink || j.application_url || '';
+      return applyClassification({
+        id: jobId('workable', j.shortcode, url, j.title),
+        title: j.title || 'Untitled',
+        type: normalizeType(j.employment_type, j.title),
+        salary: 'See listing',
+        posted_at: toISO(j.published_on || j.created_at),
+        url
+      }, {
+        department: j.department,
+        location: [j.city, j.state].filter(Boolean).join(', '),
+        workplace: j.workplace,
+        remote: j.telecommuting
+      });
+    });
+  }
+};
@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+/**
+ * Review JSearch discoveries — employers with relevant jobs that are not in
+ * firms-base.json yet.
+ *
+ * Usage:
+ *   node discoveries.js list                      candidates, most jobs first
+ *   node discoveries.js show <candidate>          locations, jobs and the closest existing firm
+ *   node discoveries.js promote <candidate> [--size N] [--discipline D] [--city C --state ST]
+ *                              [--lat N --lng N] [--website URL] [--specialties "A,B"] [--about TEXT]
+ *                                                add to firms-base.json
+ *   node discoveries.js alias <candidate> <firm-id>
+ *                                                the matcher missed a firm we have: remember the name
+ *   node discoveries.js reject <candidate> [--reason TEXT]
+ *                                                never list this employer again
+ *
+ * <candidate> is a number from `list`, or the employer's name.
+ * Promoted firms are geocoded offline from mapvoid/gazetteer.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { discoveryKey, loadDiscoveries, saveDiscoveries } = require('./lib/discoveries');
+const { loadGazetteer, stateCode } = require('./lib/places');
+
+const BASE_DIR = path.resolve(__dirname, '..');
+const FIRMS_BASE = path.join(BASE_DIR, 'data', 'firms-base.json');
+const DISCOVERIES = path.join(BASE_DIR, 'data', 'jsearch-discoveries.json');
+
+const DISCIPLINES = ['architecture', 'landscape', 'urban', 'multi'];
+const DEFAULT_SIZE = 10;
+
+function fail(message) {
+  console.error(`✗ ${message}`);
+  process.exit(1);
+}
+
+// Positional arguments plus --flag value pairs
+function parseArgs(argv) {
+  const args = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) flags[argv[i].slice(2)] = argv[++i];
+    else args.push(argv[i]);
+  }
+  return { args, flags };
+}
+
+function sortedKeys(store) {
+  return Object.keys(store.candidates).sort((a, b) =>
+    store.candidates[b].jobs.length - store.candidates[a].jobs.length || a.localeCompare(b));
+}
+
+function findCandidate(store, ref) {
+  if (!ref) fail('Name a candidate (a number from `list` or the employer name)');
+  const keys = sortedKeys(store);
+  const key = /^\d+$/.test(ref) ? keys[Number(ref) - 1] : discoveryKey(ref);
+  if (!key || !store.candidates[key]) fail(`No candidate "${ref}" — run \`node discoveries.js list\``);
+  return { key, candidate: store.candidates[key] };
+}
+
+function loadFirms() {
+  return JSON.parse(fs.readFileSync(FIRMS_BASE, 'utf8'));
+}
+
+function saveFirms(firms) {
+  fs.writeFileSync(FIRMS_BASE, JSON.stringify(firms, null, 2));
+}
+
+// ─── Commands ───
+function list(store) {
+  const keys = sortedKeys(store);
+  if (keys.length === 0) {
+    console.log('No discoveries awaiting review.');
+    return;
+  }
+  keys.forEach((key, i) => {
+    const c = store.candidates[key];
+    const near = c.nearest ? `  (closest: ${c.nearest.name}, ${c.nearest.score})` : '';
+    console.log(`${String(i + 1).padStart(3)}. ${c.employer} — ${c.locations.join('; ') || 'unknown location'} · ${c.jobs.length} job${c.jobs.length === 1 ? '' : 's'}${near}`);
+    console.log(`     ${c.jobs.slice(0, 3).map(j => j.title).join(' · ')}`);
+  });
+  console.log(`\n${keys.length} candidates, ${Object.keys(store.rejected).length} rejected employers`);
+}
+
+function show(store, ref) {
+  const { key, candidate: c } = findCandidate(store, ref);
+  console.log(`${c.employer}  [${key}]`);
+  console.log(`  Website:    ${c.website || '—'}`);
+  console.log(`  Locations:  ${c.locations.join('; ') || '—'}`);
+  console.log(`  Seen:       ${c.first_seen.slice(0, 10)} → ${c.last_seen.slice(0, 10)}`);
+  console.log(`  Closest:    ${c.nearest ? `${c.nearest.name} (id ${c.nearest.id}, score ${c.nearest.score})` : '—'}`);
+  console.log(`  Jobs:`);
+  for (const j of c.jobs) console.log(`    - ${j.title} (${j.type})  ${j.url || ''}`);
+}
+
+// Most jobs decide the discipline; the reviewer can override it
+function inferDiscipline(jobs) {
+  // Jobs saved before classification only have a title
+  const familyOf = j => j.role_family || (/landscape/i.test(j.title) ? 'landscape' : /urban|planner/i.test(j.title) ? 'urban' : 'architect');
+  const count = family => jobs.filter(j => familyOf(j) === family).length;
+  const landscape = count('landscape');
+  const urban = count('urban');
+  const architect = jobs.length - landscape - urban;
+  if (landscape > architect && landscape >= urban) return 'landscape';
+  if (urban > architect) return 'urban';
+  return 'architecture';
+}
+
+function promote(store, ref, flags) {
+  const { key, candidate: c } = findCandidate(store, ref);
+  const firms = loadFirms();
+  if (firms.some(f => discoveryKey(f.name) === key)) fail(`${c.employer} is already in firms-base.json — use \`alias\` instead`);
+
+  const [firstCity = '', firstState = ''] = (c.locations[0] || '').split(', ');
+  const city = flags.city || firstCity;
+  const state = stateCode(flags.state || firstState);
+  if (!city || !state) fail('No US location on file — pass --city and --state');
+
+  let lat = Number(flags.lat);
+  let lng = Number(flags.lng);
+  if (flags.lat === undefined || flags.lng === undefined) {
+    const place = loadGazetteer()(city, state);
+    if (!place) fail(`${city}, ${state} is not in mapvoid/gazetteer.json — pass --lat and --lng`);
+    ({ lat, lng } = place);
+  }
+  if (isNaN(lat) || isNaN(lng)) fail('--lat and --lng must be numbers');
+
+  const discipline = flags.discipline || inferDiscipline(c.jobs);
+  if (!DISCIPLINES.includes(discipline)) fail(`--discipline must be one of ${DISCIPLINES.join(', ')}`);
+  const size = flags.size ? Number(flags.size) : DEFAULT_SIZE;
+  if (!(size > 0)) fail('--size must be a positive number');
+
+  const firm = {
+    id: Math.max(0, ...firms.map(f => f.id)) + 1,
+    name: c.employer,
+    city,
+    state,
+    lat,
+    lng,
+    size,
+    discipline,
+    specialties: flags.specialties ? flags.specialties.split(',').map(s => s.trim()).filter(Boolean) : [],
+    jobs: [],
+    website: flags.website || c.website || '',
+    about: flags.about || '',
+    greenhouse_slug: null,
+    lever_slug: null
+  };
+  firms.push(firm);
+  saveFirms(firms);
+  delete store.candidates[key];
+  saveDiscoveries(DISCOVERIES, store);
+
+  console.log(`✓ Added ${firm.name} (id ${firm.id}) — ${city}, ${state} · ${discipline}`);
+  if (!flags.size) console.log(`  Size defaulted to ${DEFAULT_SIZE} employees; edit firms-base.json if you know better.`);
+  console.log('  Run probe-ats.js to look for its job board; JSearch listings will match it from the next run.');
+}
+
+function alias(store, ref, firmId) {
+  const { key, candidate: c } = findCandidate(store, ref);
+  const firms = loadFirms();
+  const firm = firms.find(f => f.id === Number(firmId));
+  if (!firm) fail(`No firm with id ${firmId} in firms-base.json`);
+  firm.aliases = [...new Set([...(firm.aliases || []), c.employer])];
+  saveFirms(firms);
+  delete store.candidates[key];
+  saveDiscoveries(DISCOVERIES, store);
+  console.log(`✓ "${c.employer}" is now an alias of ${firm.name} (id ${firm.id})`);
+}
+
+function reject(store, ref, flags) {
+  const { key, candidate: c } = findCandidate(store, ref);
+  store.rejected[key] = { employer: c.employer, rejected_at: new Date().toISOString(), reason: flags.reason || '' };
+  delete store.candidates[key];
+  saveDiscoveries(DISCOVERIES, store);
+  console.log(`✓ Rejected ${c.employer}; future runs will skip it`);
+}
+
+function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const { args, flags } = parseArgs(rest);
+  const store = loadDiscoveries(DISCOVERIES);
+
+  switch (command) {
+    case 'list': return list(store);
+    case 'show': return show(store, args[0]);
+    case 'promote': return promote(store, args[0], flags);
+    case 'alias': return alias(store, args[0], args[1]);
+    case 'reject': return reject(store, args[0], flags);
+    default:
+      console.log('Usage: node discoveries.js <list|show|promote|alias|reject> [candidate] [options]');
+      console.log('See the header of discoveries.js for the options.');
+      if (command) process.exit(1);
+  }
+}
+
+main();
@@ -1,177 +1,141 @@
 #!/usr/bin/env node
 /**
  * Threshold Job Pipeline
- * Fetches live job listings from Greenhouse, Lever, and JSearch APIs.
- * Merges them with the curated firm database and outputs mapvoid/firms.json.
+ * Fetches live job listings from ATS boards (Greenhouse, Lever, Ashby, Workable,
+ * SmartRecruiters, BambooHR), firms' own careers pages (lib/careers.js) and
+ * the JSearch API.
+ * Merges them with the curated firm database and writes the sharded MapVoid
+ * data (index, jobs, detail and description shards) to mapvoid/data/ and feeds of
+ * new jobs to mapvoid/feeds/.
+ * Job first-seen/last-seen history is kept in data/job-history.json.
+ * Rejected and borderline jobs are listed in data/relevance-report.{json,md}.
+ * Refuses to run while firms-base.json fails lint-firms.js.
+ * Unmatched JSearch employers accumulate in data/jsearch-discoveries.json
+ * (review them with discoveries.js).
+ * Every run writes data/run-manifest.json (per-source tallies and the job
+ * diff against the published snapshot); MapVoid data is only published when
+ * the guardrails in data/guardrails.json pass (see lib/manifest.js).
+ * After publishing, saved MapVoid searches get a digest of the new jobs that
+ * match them in data/alert-digests.json (see lib/alerts.js).
  *
  * Usage:
- *   node fetch-jobs.js
+ *   node fetch-jobs.js           publish only if the guardrails pass
+ *   node fetch-jobs.js --force   publish even if they don't
  *
  * Environment variables:
  *   JSEARCH_API_KEY - RapidAPI key for JSearch (optional)
+ *   PUBLISH_FORCE=1 - same as --force (optional)
+ *   ALERTS_SOURCE - alerts endpoint URL or JSON file to build alert digests from (optional)
+ *   HTTP_RECORD, HTTP_REPLAY - record fixtures / replay them via fixture-server.js (optional)
+ *   RELEVANCE_ACCEPT, RELEVANCE_REJECT - override the relevance thresholds (optional)
  */
 
 const fs = require('fs');
 const path = require('path');
+const { ADAPTERS } = require('./ats');
+const { toISO, jobId } = require('./ats/common');
+const { loadHistory, saveHistory, recordRun } = require('./lib/history');
+const { makeSalary, parseSalaryText, applySalary } = require('./lib/salary');
+const { applyClassification } = require('./lib/classify');
+const { textToHtml } = require('./lib/sanitize');
+const { writeShards } = require('./lib/shards');
+const { writeFeeds } = require('./lib/feeds');
+const { DEFAULT_THRESHOLDS, relevanceDecision, createReport, screenJobs, noteBoard, writeReport } = require('./lib/relevance');
+const { createMatcher } = require('./lib/entities');
+const { loadGazetteer } = require('./lib/places');
+const { loadDiscoveries, saveDiscoveries, isRejected, mergeDiscoveries } = require('./lib/discoveries');
+const { lintFirms, formatIssue } = require('./lib/lint');
+const { createClient, pool } = require('./lib/http');
+const { loadOverrides, scrapeCareers } = require('./lib/careers');
+const { loadAlerts, buildDigests, writeDigests } = require('./lib/alerts');
+const { createManifest, sourceStats, countResponse, loadPublished, countTotals, diffRuns, loadGuardrails, checkGuardrails, isForced, writeManifest, publicSummary } = require('./lib/manifest');
 
 // ─── Config ───
 const BASE_DIR = path.resolve(__dirname, '..');
 const FIRMS_BASE = path.join(BASE_DIR, 'data', 'firms-base.json');
-const OUTPUT = path.join(BASE_DIR, 'mapvoid', 'firms.json');
+const OUTPUT_DIR = path.join(BASE_DIR, 'mapvoid', 'data');
+const FEEDS_DIR = path.join(BASE_DIR, 'mapvoid', 'feeds');
 const DISCOVERIES = path.join(BASE_DIR, 'data', 'jsearch-discoveries.json');
+const HISTORY = path.join(BASE_DIR, 'data', 'job-history.json');
+const REPORT_JSON = path.join(BASE_DIR, 'data', 'relevance-report.json');
+const REPORT_MD = path.join(BASE_DIR, 'data', 'relevance-report.md');
+const MANIFEST = path.join(BASE_DIR, 'data', 'run-manifest.json');
+const GUARDRAILS = path.join(BASE_DIR, 'data', 'guardrails.json');
+const HTTP_CACHE = path.join(BASE_DIR, '.cache', 'http');
+const CAREERS_OVERRIDES = path.join(BASE_DIR, 'data', 'careers-overrides.json');
+const ALERT_DIGESTS = path.join(BASE_DIR, 'data', 'alert-digests.json');
 
 const CONCURRENCY = 5;
-const DELAY_MS = 300;
+// Careers pages are each on their own host, so more of them can run at once
+const CAREERS_CONCURRENCY = 10;
 const TIMEOUT_MS = 8000;
 
-// ─── Helpers ───
-function timeAgo(dateStr) {
-  const now = new Date();
-  const then = new Date(dateStr);
-  const diffMs = now - then;
-  const days = Math.floor(diffMs / 86400000);
-  if (days === 0) return 'Today';
-  if (days === 1) return '1 day ago';
-  if (days < 7) return days + ' days ago';
-  if (days < 14) return '1 week ago';
-  if (days < 30) return Math.floor(days / 7) + ' weeks ago';
-  if (days < 60) return '1 month ago';
-  return Math.floor(days / 30) + ' months ago';
-}
-
-async function fetchWithTimeout(url, opts = {}) {
-  const controller = new AbortController();
-  const id = setTimeout(() => controller.abort(), TIMEOUT_MS);
-  try {
-    const resp = await fetch(url, { ...opts, signal: controller.signal });
-    clearTimeout(id);
-    return resp;
-  } catch (e) {
-    clearTimeout(id);
-    return null;
-  }
-}
+// Relevance thresholds (see lib/relevance.js); tune against data/relevance-report.md
+const RELEVANCE = {
+  accept: Number(process.env.RELEVANCE_ACCEPT || DEFAULT_THRESHOLDS.accept),
+  reject: Number(process.env.RELEVANCE_REJECT || DEFAULT_THRESHOLDS.reject)
+};
+// A board with more jobs than this is trimmed to its best-scoring ones...
+const MAX_JOBS_PER_FIRM = 30;
+// ...unless most of them aren't design jobs, which means the slug matched another company
+const MIN_RELEVANT_SHARE = 0.5;
 
-async function sleep(ms) {
-  return new Promise(r => setTimeout(r, ms));
-}
-
-// Process items in batches with concurrency limit
-async function batchProcess(items, fn, concurrency = CONCURRENCY) {
-  const results = [];
-  for (let i = 0; i < items.length; i += concurrency) {
-    const batch = items.slice(i, i + concurrency);
-    const batchResults = await Promise.all(batch.map(fn));
-    results.push(...batchResults);
-    if (i + concurrency < items.length) await sleep(DELAY_MS);
-  }
-  return results;
-}
+// ─── Helpers ───
+// Retries, per-host rate limits and the ETag cache live in lib/http.js
+const http = createClient({
+  timeout: TIMEOUT_MS,
+  cacheDir: HTTP_CACHE,
+  hosts: { 'jsearch.p.rapidapi.com': { concurrency: 1, minInterval: 500 } }
+});
 
-// ─── Job Relevance Filter ───
-// Only keep jobs relevant to architecture/landscape/design
-const RELEVANT_KEYWORDS = [
-  'architect', 'design', 'landscape', 'urban', 'planner', 'planning',
-  'intern', 'bim', 'revit', 'cad', 'autocad', 'rhino', 'grasshopper',
-  'visualization', 'renderer', 'model', 'draft', 'studio', 'project manager',
-  'sustainability', 'leed', 'preservation', 'historic', 'interior',
-  'construction', 'specification', 'graphic', 'visual', 'gis',
-  'environmental', 'ecological', 'horticultur', 'irrigation',
-  'entitle', 'permit', 'zoning', 'land use'
-];
-const EXCLUDE_KEYWORDS = [
-  'accountant', 'accounting', 'accounts payable', 'accounts receivable',
-  'payroll', 'human resource', 'recruiter', 'receptionist',
-  'marketing manager', 'sales rep', 'business develop',
-  'it support', 'network admin', 'software engineer', 'devops',
-  'janitor', 'custodian', 'security guard', 'truck driver',
-  'nurse', 'physician', 'pharmacist', 'dental',
-  'cook', 'chef', 'bartender', 'server', 'cashier',
-  'attorney', 'paralegal', 'compliance officer',
-  'agente', 'vendedor', 'analista'
-];
-
-function isRelevantJob(title) {
-  const t = (title || '').toLowerCase();
-  // Reject if title matches exclusion list
-  if (EXCLUDE_KEYWORDS.some(kw => t.includes(kw))) return false;
-  // Accept if title matches relevant keywords
-  if (RELEVANT_KEYWORDS.some(kw => t.includes(kw))) return true;
-  // For short titles or ambiguous ones, accept by default
-  // (better to show a questionable job than miss a real one)
-  return true;
+// `stats` (optional) is a source's manifest tally
+async function request(url, opts = {}, stats = null) {
+  const resp = await http.request(url, opts);
+  if (stats) countResponse(stats, resp);
+  return resp;
 }
 
-// ─── Greenhouse ───
-async function fetchGreenhouseJobs(slug) {
+// ─── ATS boards (Greenhouse, Lever, Ashby, Workable, SmartRecruiters, BambooHR) ───
+async function fetchBoardJobs(adapter, slug, stats = null) {
   if (!slug) return [];
-  const url = `https://boards-api.greenhouse.io/v1/boards/${slug}/jobs`;
-  const resp = await fetchWithTimeout(url);
-  if (!resp || !resp.ok) return [];
+  const resp = await request(adapter.boardUrl(slug), {}, stats);
+  if (!resp.ok) return [];
   try {
-    const data = await resp.json();
-    if (!data.jobs || !Array.isArray(data.jobs)) return [];
-    return data.jobs
-      .filter(j => isRelevantJob(j.title))
-      .map(j => ({
-        title: j.title || 'Untitled',
-        type: extractType(j),
-        salary: 'See listing',
-        posted: j.updated_at ? timeAgo(j.updated_at) : 'Recently',
-        url: j.absolute_url || ''
-      }));
+    const data = resp.json();
+    if (!adapter.isBoard(data)) return [];
+    return adapter.toJobs(data, slug);
   } catch {
+    if (stats) stats.parse_errors++;
     return [];
   }
 }
 
-function extractType(ghJob) {
-  // Try to infer type from Greenhouse job metadata
-  if (ghJob.metadata) {
-    for (const m of ghJob.metadata) {
-      if (m.name && m.name.toLowerCase().includes('type') && m.value) return m.value;
-    }
+// Relevance-screen one firm's jobs from a board or careers page. A long list of
+// mostly non-design jobs means we're reading the wrong company (`mismatch` says how we found it).
+function screenFirmJobs(jobs, context, report, mismatch) {
+  if (jobs.length === 0) return [];
+  const relevant = jobs.filter(j => relevanceDecision(j.relevance.score, RELEVANCE) !== 'reject').length;
+  if (jobs.length > MAX_JOBS_PER_FIRM && relevant / jobs.length < MIN_RELEVANT_SHARE) {
+    noteBoard(report, context, `skipped as a likely wrong ${mismatch}`, { total: jobs.length, relevant });
+    console.log(`   ⚠ ${context.firm}: ${relevant} of ${jobs.length} jobs relevant (likely wrong match, skipping)`);
+    return [];
   }
-  // Check departments
-  if (ghJob.departments && ghJob.departments.length > 0) {
-    const dept = ghJob.departments[0].name || '';
-    if (/intern/i.test(dept)) return 'Internship';
-    if (/part[\s-]?time/i.test(dept)) return 'Part-time';
-    if (/contract/i.test(dept)) return 'Contract';
+  let kept = screenJobs(jobs, context, report, RELEVANCE);
+  if (kept.length > MAX_JOBS_PER_FIRM) {
+    noteBoard(report, context, `trimmed to the ${MAX_JOBS_PER_FIRM} best-scoring jobs`, { total: jobs.length, relevant });
+    kept = kept.sort((a, b) => b.relevance.score - a.relevance.score).slice(0, MAX_JOBS_PER_FIRM);
   }
-  // Check title
-  const title = (ghJob.title || '').toLowerCase();
-  if (/intern/i.test(title)) return 'Internship';
-  if (/part[\s-]?time/i.test(title)) return 'Part-time';
-  if (/contract/i.test(title)) return 'Contract';
-  return 'Full-time';
+  return kept;
 }
 
-// ─── Lever ───
-async function fetchLeverJobs(slug) {
-  if (!slug) return [];
-  const url = `https://api.lever.co/v0/postings/${slug}?mode=json`;
-  const resp = await fetchWithTimeout(url);
-  if (!resp || !resp.ok) return [];
-  try {
-    const data = await resp.json();
-    if (!Array.isArray(data)) return [];
-    return data
-      .filter(j => isRelevantJob(j.text))
-      .map(j => ({
-        title: j.text || 'Untitled',
-        type: (j.categories && j.categories.commitment) || 'Full-time',
-        salary: 'See listing',
-        posted: j.createdAt ? timeAgo(new Date(j.createdAt).toISOString()) : 'Recently',
-        url: j.hostedUrl || ''
-      }));
-  } catch {
-    return [];
-  }
+function logSourceStats(stats) {
+  const failed = stats.timeouts + stats.network_errors;
+  console.log(`   ✓ ${stats.firms} firms responded, ${stats.jobs} jobs found (${stats.cached} unchanged, ${stats.retries} retries` +
+    (failed ? `, ${stats.timeouts} timeouts, ${stats.network_errors} network errors` : '') + ')\n');
 }
 
 // ─── JSearch ───
-async function fetchJSearchJobs(apiKey) {
+async function fetchJSearchJobs(apiKey, stats = null) {
   if (!apiKey) {
     console.log('  ⏭  No JSEARCH_API_KEY — skipping JSearch');
     return [];
@@ -202,26 +166,26 @@ async function fetchJSearchJobs(apiKey) {
   for (const q of weeklyQueries) {
     console.log(`  🔍 JSearch: "${q}"`);
     const url = `https://jsearch.p.rapidapi.com/search?query=${encodeURIComponent(q)}&page=1&num_pages=2&country=us&date_posted=week`;
-    const resp = await fetchWithTimeout(url, {
+    const resp = await request(url, {
       headers: {
         'X-RapidAPI-Key': apiKey,
         'X-RapidAPI-Host': 'jsearch.p.rapidapi.com'
       }
-    });
-    if (!resp || !resp.ok) {
-      console.log(`    ⚠ JSearch query failed (status: ${resp ? resp.status : 'timeout'})`);
+    }, stats);
+    if (!resp.ok) {
+      console.log(`    ⚠ JSearch query failed (status: ${resp.error || resp.status})`);
       continue;
     }
     try {
-      const data = await resp.json();
+      const data = resp.json();
       if (data.data && Array.isArray(data.data)) {
         allJobs.push(...data.data);
         console.log(`    ✓ ${data.data.length} results`);
       }
     } catch {
+      if (stats) stats.parse_errors++;
       console.log('    ⚠ Parse error');
     }
-    await sleep(500);
   }
 
   // Internship searches (wider date window)
@@ -229,105 +193,75 @@ async function fetchJSearchJobs(apiKey) {
   for (const q of internQueries) {
     console.log(`  🔍 JSearch: "${q}"`);
     const url = `https://jsearch.p.rapidapi.com/search?query=${encodeURIComponent(q)}&page=1&num_pages=2&country=us&date_posted=month`;
-    const resp = await fetchWithTimeout(url, {
+    const resp = await request(url, {
       headers: {
         'X-RapidAPI-Key': apiKey,
         'X-RapidAPI-Host': 'jsearch.p.rapidapi.com'
       }
-    });
-    if (!resp || !resp.ok) {
-      console.log(`    ⚠ JSearch query failed (status: ${resp ? resp.status : 'timeout'})`);
+    }, stats);
+    if (!resp.ok) {
+      console.log(`    ⚠ JSearch query failed (status: ${resp.error || resp.status})`);
       continue;
     }
     try {
-      const data = await resp.json();
+      const data = resp.json();
       if (data.data && Array.isArray(data.data)) {
         allJobs.push(...data.data);
         console.log(`    ✓ ${data.data.length} results`);
       }
     } catch {
+      if (stats) stats.parse_errors++;
       console.log('    ⚠ Parse error');
     }
-    await sleep(500);
   }
 
   return allJobs;
 }
 
-// Normalize company name for fuzzy matching
-function normalize(name) {
-  return (name || '')
-    .toLowerCase()
-    .replace(/[^a-z0-9]/g, '')
-    .replace(/(inc|llc|architects|architecture|design|studio|group|associates|partnership|consulting)$/g, '');
-}
-
-// Match JSearch results to existing firms (with fuzzy fallback)
+// Match JSearch results to existing firms (see lib/entities.js for the scoring)
 function matchJSearchToFirms(jsearchJobs, firms) {
-  const firmIndex = new Map();
-  const firmWords = new Map(); // secondary index by key words
-  for (const f of firms) {
-    firmIndex.set(normalize(f.name), f);
-    // Index by first significant word for fuzzy matching
-    const words = f.name.toLowerCase().replace(/[^a-z0-9\s]/g, '').split(/\s+/).filter(w => w.length > 3);
-    for (const w of words) {
-      if (!firmWords.has(w)) firmWords.set(w, []);
-      firmWords.get(w).push(f);
-    }
-  }
-
+  const match = createMatcher(firms, loadGazetteer());
   const matched = [];
   const unmatched = [];
 
   for (const j of jsearchJobs) {
     const employer = j.employer_name || '';
-    const key = normalize(employer);
-
-    // Exact match first
-    let firm = firmIndex.get(key);
-
-    // Fuzzy match: check if employer contains a firm name or vice versa
-    if (!firm) {
-      const empLower = employer.toLowerCase();
-      for (const [normName, f] of firmIndex) {
-        if (normName.length > 4 && (empLower.includes(normName) || normName.includes(normalize(employer)))) {
-          // Verify same city/state if available
-          if (j.job_state && f.state && j.job_state.length === 2) {
-            if (j.job_state.toUpperCase() === f.state.toUpperCase()) {
-              firm = f;
-              break;
-            }
-          } else {
-            firm = f;
-            break;
-          }
-        }
-      }
-    }
+    const result = match({ name: employer, website: j.employer_website, city: j.job_city, state: j.job_state });
+    const firm = result && result.firm;
 
-    const job = {
+    const job = applySalary({
+      id: jobId('jsearch', j.job_id, j.job_apply_link, j.job_title),
       title: j.job_title || 'Untitled',
       type: j.job_employment_type || 'Full-time',
-      salary: j.job_min_salary && j.job_max_salary
-        ? `$${Math.round(j.job_min_salary / 1000)}K–$${Math.round(j.job_max_salary / 1000)}K`
-        : 'See listing',
-      posted: j.job_posted_at_datetime_utc ? timeAgo(j.job_posted_at_datetime_utc) : 'Recently',
-      url: j.job_apply_link || ''
-    };
+      salary: 'See listing',
+      posted_at: toISO(j.job_posted_at_datetime_utc),
+      url: j.job_apply_link || '',
+      description: textToHtml(j.job_description)
+    }, makeSalary(j.job_min_salary, j.job_max_salary, j.job_salary_currency, j.job_salary_period) ||
+       parseSalaryText(j.job_description));
 
     // Tag internships properly
     if (/intern/i.test(job.title)) {
       job.type = 'Internship';
     }
+    applyClassification(job, {
+      location: [j.job_city, j.job_state].filter(Boolean).join(', '),
+      remote: j.job_is_remote,
+      experienceMonths: j.job_required_experience && j.job_required_experience.required_experience_in_months,
+      description: j.job_description,
+      employer: j.employer_name
+    });
 
     if (firm) {
       matched.push({ firm, job });
     } else {
       unmatched.push({
         employer: employer,
+        website: j.employer_website || '',
         city: j.job_city || '',
         state: j.job_state || '',
         country: j.job_country || '',
+        nearest: result && result.nearest,
         job
       });
     }
@@ -336,6 +270,11 @@ function matchJSearchToFirms(jsearchJobs, firms) {
   return { matched, unmatched };
 }
 
+// Scoring details stay in the relevance report, not the published data
+function stripInternal({ relevance, ...job }) {
+  return job;
+}
+
 // ─── Main Pipeline ───
 async function main() {
   console.log('━━━ Threshold Job Pipeline ━━━\n');
@@ -343,53 +282,71 @@ async function main() {
   // Load base data
   console.log('📂 Loading firms-base.json...');
   const firms = JSON.parse(fs.readFileSync(FIRMS_BASE, 'utf8'));
-  console.log(`   ${firms.length} firms loaded\n`);
+  console.log(`   ${firms.length} firms loaded`);
+
+  // Bad curation data would break MapVoid, so don't fetch or write anything until it's fixed
+  const lint = lintFirms(firms);
+  if (lint.errors.length > 0) {
+    console.error(`\n✗ firms-base.json has ${lint.errors.length} blocking errors (run lint-firms.js for details):`);
+    console.error(lint.errors.slice(0, 20).map(formatIssue).join('\n'));
+    process.exit(1);
+  }
+  console.log(`   Lint: ${lint.warnings.length} warnings (run lint-firms.js to review)\n`);
 
   // Clear all existing jobs
   for (const f of firms) f.jobs = [];
 
   // Track stats
-  let ghHits = 0, ghJobs = 0;
-  let lvHits = 0, lvJobs = 0;
+  const force = isForced();
+  const manifest = createManifest();
+  const report = createReport(RELEVANCE);
   let jsHits = 0, jsJobs = 0;
 
-  // ── Greenhouse pass ──
-  const ghFirms = firms.filter(f => f.greenhouse_slug);
-  console.log(`🌿 Greenhouse: probing ${ghFirms.length} firms...`);
-
-  await batchProcess(ghFirms, async (firm) => {
-    const jobs = await fetchGreenhouseJobs(firm.greenhouse_slug);
-    if (jobs.length > 0 && jobs.length <= 30) {
-      // Cap at 30 — more than that likely means wrong slug match
-      firm.jobs.push(...jobs);
-      ghHits++;
-      ghJobs += jobs.length;
-    } else if (jobs.length > 30) {
-      console.log(`   ⚠ ${firm.name}: ${jobs.length} jobs (likely wrong match, skipping)`);
-    }
-  });
-  console.log(`   ✓ ${ghHits} firms responded, ${ghJobs} jobs found\n`);
-
-  // ── Lever pass ──
-  const lvFirms = firms.filter(f => f.lever_slug);
-  console.log(`⚡ Lever: probing ${lvFirms.length} firms...`);
-
-  await batchProcess(lvFirms, async (firm) => {
-    const jobs = await fetchLeverJobs(firm.lever_slug);
-    if (jobs.length > 0 && jobs.length <= 30) {
-      firm.jobs.push(...jobs);
-      lvHits++;
-      lvJobs += jobs.length;
-    } else if (jobs.length > 30) {
-      console.log(`   ⚠ ${firm.name}: ${jobs.length} jobs (likely wrong match, skipping)`);
-    }
+  // ── ATS board passes ──
+  for (const adapter of ADAPTERS) {
+    const stats = sourceStats(manifest, adapter.id, adapter.label);
+    const boardFirms = firms.filter(f => f[adapter.slugField]);
+    if (boardFirms.length === 0) continue;
+    console.log(`📋 ${adapter.label}: probing ${boardFirms.length} firms...`);
+
+    await pool(boardFirms, async (firm) => {
+      const jobs = await fetchBoardJobs(adapter, firm[adapter.slugField], stats);
+      const kept = screenFirmJobs(jobs, { source: adapter.id, firm: firm.name }, report, 'slug match');
+      if (kept.length === 0) return;
+      firm.jobs.push(...kept);
+      stats.firms++;
+      stats.jobs += kept.length;
+    }, CONCURRENCY);
+    logSourceStats(stats);
+  }
+
+  // ── Careers pages ──
+  // Firms with no verified board and nothing from the passes above
+  const careersStats = sourceStats(manifest, 'careers', 'Careers pages');
+  const overrides = loadOverrides(CAREERS_OVERRIDES);
+  const careersFirms = firms.filter(f => {
+    const override = overrides[f.id] || {};
+    if (override.skip || f.jobs.length > 0) return false;
+    const verified = f.ats_probe && Object.keys(f.ats_probe.verified).length > 0;
+    return override.url || (f.website && !verified);
   });
-  console.log(`   ✓ ${lvHits} firms responded, ${lvJobs} jobs found\n`);
+  console.log(`🌐 Careers pages: scraping ${careersFirms.length} firm websites...`);
+  await pool(careersFirms, async (firm) => {
+    const get = url => request(url, {}, careersStats).then(resp => (resp.ok ? resp.text : null));
+    const { jobs } = await scrapeCareers(firm, get, overrides[firm.id]);
+    const kept = screenFirmJobs(jobs, { source: 'careers', firm: firm.name }, report, 'careers page');
+    if (kept.length === 0) return;
+    firm.jobs.push(...kept);
+    careersStats.firms++;
+    careersStats.jobs += kept.length;
+  }, CAREERS_CONCURRENCY);
+  logSourceStats(careersStats);
 
   // ── JSearch pass ──
   const apiKey = process.env.JSEARCH_API_KEY || '';
   console.log('🔎 JSearch: querying job aggregator...');
-  const jsearchRaw = await fetchJSearchJobs(apiKey);
+  const jsStats = sourceStats(manifest, 'jsearch', 'JSearch');
+  const jsearchRaw = await fetchJSearchJobs(apiKey, jsStats);
   console.log(`   ${jsearchRaw.length} raw results\n`);
 
   if (jsearchRaw.length > 0) {
@@ -398,24 +355,48 @@ async function main() {
     console.log(`   New/unmatched employers: ${unmatched.length}`);
 
     // Add matched jobs to firms
+    const jsFirms = new Set();
     for (const { firm, job } of matched) {
-      // Avoid duplicates by title
-      if (!firm.jobs.some(j => j.title === job.title)) {
+      if (screenJobs([job], { source: 'jsearch', firm: firm.name }, report, RELEVANCE).length === 0) continue;
+      // Avoid duplicates by ID or title
+      if (!firm.jobs.some(j => j.id === job.id || j.title === job.title)) {
         firm.jobs.push(job);
+        jsFirms.add(firm.id);
         jsJobs++;
       }
     }
     jsHits = matched.length;
-
-    // Save discoveries for manual review
-    if (unmatched.length > 0) {
-      fs.writeFileSync(DISCOVERIES, JSON.stringify(unmatched, null, 2));
-      console.log(`   Saved ${unmatched.length} discoveries to jsearch-discoveries.json`);
-    }
+    jsStats.firms = jsFirms.size;
+    jsStats.jobs = jsJobs;
+
+    // Accumulate discoveries for review with discoveries.js
+    const store = loadDiscoveries(DISCOVERIES);
+    const discoveries = unmatched
+      .filter(d => !isRejected(store, d.employer))
+      .filter(d => screenJobs([d.job], { source: 'jsearch', firm: d.employer }, report, RELEVANCE).length > 0)
+      .map(d => {
+        const { description, ...job } = stripInternal(d.job);
+        return { ...d, job };
+      });
+    const { added } = mergeDiscoveries(store, discoveries);
+    saveDiscoveries(DISCOVERIES, store);
+    console.log(`   Discoveries: ${added.length} new employers, ${Object.keys(store.candidates).length} awaiting review`);
   }
 
+  // ── Relevance report ──
+  writeReport(report, REPORT_JSON, REPORT_MD);
+  console.log(`\n🧮 Relevance: ${report.counts.accept} accepted, ${report.counts.borderline} borderline, ${report.counts.reject} rejected, ${report.boards.length} boards flagged`);
+
+  // ── History ──
+  // Carry first_seen/last_seen across runs and close roles that disappeared (saved only if published)
+  const history = loadHistory(HISTORY);
+  // With no history every job counts as new, which is no news to anyone with an alert
+  const firstRun = !history.updated_at;
+  const { added, closed } = recordRun(history, firms);
+  console.log(`\n🗂  History: ${added.length} new, ${closed.length} closed, ${Object.keys(history.jobs).length} tracked`);
+
   // ── Output ──
-  // Strip internal fields (greenhouse_slug, lever_slug) from output
+  // Strip internal fields (ATS slugs) from output
   const output = firms.map(f => ({
     id: f.id,
     name: f.name,
@@ -426,21 +407,63 @@ async function main() {
     size: f.size,
     discipline: f.discipline,
     specialties: f.specialties,
-    jobs: f.jobs,
+    jobs: f.jobs.map(stripInternal),
     website: f.website,
     about: f.about
   }));
 
-  fs.writeFileSync(OUTPUT, JSON.stringify(output));
-  const sizeMB = (Buffer.byteLength(JSON.stringify(output)) / 1048576).toFixed(2);
+  // ── Guardrails ──
+  // Compare with the snapshot MapVoid serves now; an outage must not replace it with an empty map
+  const previous = loadPublished(OUTPUT_DIR);
+  manifest.totals = countTotals(output);
+  manifest.changes = diffRuns(previous, output);
+  const passed = checkGuardrails(manifest, previous, loadGuardrails(GUARDRAILS));
+  console.log('\n🚦 Guardrails:');
+  for (const c of manifest.guardrails) console.log(`   ${c.passed ? '✓' : '✗'} ${c.name}: ${c.message}`);
+  if (manifest.changes) console.log(`   Since ${manifest.changes.since}: +${manifest.changes.added} / −${manifest.changes.removed} jobs across ${manifest.changes.firms.length} firms`);
+
+  if (!passed && !force) {
+    writeManifest(manifest, MANIFEST);
+    console.error('\n✗ Guardrails failed — MapVoid data and job history left unchanged (see data/run-manifest.json; --force to publish anyway)');
+    process.exit(1);
+  }
+  if (!passed) console.log('   ⚠ Guardrails failed — publishing anyway (--force)');
+
+  saveHistory(HISTORY, history);
+  manifest.published = true;
+  writeManifest(manifest, MANIFEST);
+  const { index, files } = writeShards(output, OUTPUT_DIR, new Date(manifest.run_at), publicSummary(manifest));
+  const sizeKB = (fs.statSync(path.join(OUTPUT_DIR, index)).size / 1024).toFixed(0);
+  // Jobs from the run that started the history predate it, so they aren't news to feed readers either
+  const feedCount = writeFeeds(output, FEEDS_DIR, new Date(manifest.run_at), history.started_at);
+
+  // ── Alerts ──
+  // Saved MapVoid searches, matched with MapVoid's own filters; the workflow sends the digests
+  let alertSummary = 'none (no ALERTS_SOURCE)';
+  const alertSource = process.env.ALERTS_SOURCE || '';
+  if (alertSource) {
+    try {
+      const alerts = await loadAlerts(alertSource, http);
+      const { digests, invalid } = firstRun ? { digests: [], invalid: 0 } : buildDigests(alerts, output, new Set(added));
+      writeDigests(ALERT_DIGESTS, manifest.run_at, digests);
+      alertSummary = `${digests.length} of ${alerts.length} alerts have new jobs${invalid ? `, ${invalid} unreadable` : ''}${firstRun ? ' (first run, nothing sent)' : ''}`;
+    } catch (err) {
+      alertSummary = `skipped — ${err.message}`;
+    }
+  }
 
   console.log('\n━━━ Summary ━━━');
-  console.log(`Greenhouse: ${ghHits} firms, ${ghJobs} jobs`);
-  console.log(`Lever:      ${lvHits} firms, ${lvJobs} jobs`);
-  console.log(`JSearch:    ${jsHits} matched, ${jsJobs} jobs`);
+  for (const adapter of ADAPTERS) {
+    const stats = manifest.sources[adapter.id];
+    console.log(`${(adapter.label + ':').padEnd(16)} ${stats.firms} firms, ${stats.jobs} jobs`);
+  }
+  console.log(`${'Careers pages:'.padEnd(16)} ${careersStats.firms} firms, ${careersStats.jobs} jobs`);
+  console.log(`${'JSearch:'.padEnd(16)} ${jsHits} matched, ${jsJobs} jobs`);
   console.log(`Total firms with jobs: ${firms.filter(f => f.jobs.length > 0).length}`);
   console.log(`Total job listings: ${firms.reduce((s, f) => s + f.jobs.length, 0)}`);
-  console.log(`Output: mapvoid/firms.json (${sizeMB} MB)`);
+  console.log(`Output: mapvoid/data/${index} (${sizeKB} KB) + ${files - 2} jobs, detail and description shards`);
+  console.log(`Feeds: mapvoid/feeds/ (${feedCount} feeds, Atom + JSON)`);
+  console.log(`Alert digests: ${alertSummary}`);
   console.log('━━━━━━━━━━━━━━━━');
 }
 
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for every host the pipeline talks to, serving fixtures
+ * recorded with HTTP_RECORD (see lib/http.js). Lets the whole pipeline run
+ * offline:
+ *
+ *   HTTP_RECORD=/tmp/fixtures node fetch-jobs.js           record a live run
+ *   node fixture-server.js /tmp/fixtures --port 8787       serve it
+ *   HTTP_REPLAY=http://127.0.0.1:8787 node fetch-jobs.js   replay against it
+ *
+ * Requests with no fixture get a 404, like a board that doesn't exist.
+ * Fixtures are plain JSON ({ url, method, status, headers, body }) and can be
+ * edited to simulate outages: change the status, add a "retry-after" header,
+ * or add "delay": <ms> to make a response slow enough to time out.
+ */
+
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+const { fixturePath } = require('./lib/http');
+
+// Headers worth replaying; the rest describe the original transfer
+const REPLAYED_HEADERS = ['content-type', 'etag', 'last-modified', 'retry-after'];
+
+function parseArgs(argv) {
+  const opts = { dir: null, port: 8787 };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') opts.port = Number(argv[++i]);
+    else opts.dir = path.resolve(argv[i]);
+  }
+  return opts;
+}
+
+function loadFixture(dir, method, url) {
+  try {
+    return JSON.parse(fs.readFileSync(fixturePath(dir, method, url), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// A server answering replayed requests from the fixtures in `dir`
+function createFixtureServer(dir, log = console.log) {
+  return http.createServer((req, res) => {
+    // /https/boards-api.greenhouse.io/v1/... → https://boards-api.greenhouse.io/v1/...
+    const m = req.url.match(/^\/(https?)\/(.+)$/);
+    const url = m ? `${m[1]}://${m[2]}` : null;
+    const fixture = url && loadFixture(dir, req.method, url);
+    if (!fixture) {
+      log(`404 ${req.method} ${url || req.url}`);
+      res.writeHead(404, { 'content-type': 'application/json' });
+      res.end('{"error":"no fixture"}');
+      return;
+    }
+
+    const headers = {};
+    for (const name of REPLAYED_HEADERS) {
+      if (fixture.headers && fixture.headers[name]) headers[name] = fixture.headers[name];
+    }
+    const notModified = headers.etag && req.headers['if-none-match'] === headers.etag;
+    setTimeout(() => {
+      log(`${notModified ? 304 : fixture.status} ${req.method} ${url}`);
+      res.writeHead(notModified ? 304 : fixture.status, headers);
+      res.end(notModified ? undefined : fixture.body);
+    }, fixture.delay || 0);
+  });
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (!opts.dir || !fs.existsSync(opts.dir)) {
+    console.error('Usage: node fixture-server.js <fixtures-dir> [--port 8787]');
+    process.exit(1);
+  }
+
+  const server = createFixtureServer(opts.dir);
+  server.listen(opts.port, '127.0.0.1', () => {
+    console.log(`Serving fixtures from ${opts.dir} on http://127.0.0.1:${server.address().port}`);
+  });
+}
+
+if (require.main === module) main();
+
+module.exports = { createFixtureServer };
@@ -0,0 +1,129 @@
+/**
+ * Saved-search job alerts.
+ *
+ * MapVoid's "Email alert" saves the current filter combination with the
+ * subscribe endpoint (sendSubscription in shared/scripts.js). After each
+ * published run the pipeline reads the alerts back, matches each one with
+ * MapVoid's own filterFirms() (mapvoid/filters.js) over the data just
+ * published, and writes a digest of the jobs that are new in this run at the
+ * matching firms. The endpoint does the emailing.
+ *
+ * Alerts, from the endpoint (GET) or a JSON file:
+ *   { "alerts": [{ "id", "email", "filters", "summary", "created_at" }] }
+ *   filters is what MapVoid sent, as an object or a JSON string
+ *
+ * Digests (data/alert-digests.json, never committed — it holds addresses),
+ * POSTed back to the endpoint by the workflow:
+ *   { "action": "digests", "run_at", "digests": [{ "alert_id", "email",
+ *     "summary", "url", "total", "jobs": [{ id, title, firm, location, ... }] }] }
+ */
+
+const fs = require('fs');
+const { DISCIPLINE_LABELS, REFINES, buildSearchIndex, searchFirms, parseQuery, filterFirms, filterParams, describeFilters } = require('../../mapvoid/filters');
+
+const MAPVOID = 'https://thresholdarch.com/mapvoid/';
+// A digest lists this many jobs and links to the map for the rest
+const MAX_DIGEST_JOBS = 25;
+
+/**
+ * Saved alerts from `source`: the endpoint's URL (its access token in the
+ * query string) or a file path. Throws when they can't be read.
+ */
+async function loadAlerts(source, http) {
+  let data;
+  if (/^https?:\/\//.test(source)) {
+    const resp = await http.request(source, { cache: false });
+    if (!resp.ok) throw new Error(`alerts endpoint answered ${resp.error || resp.status}`);
+    data = resp.json();
+  } else {
+    data = JSON.parse(fs.readFileSync(source, 'utf8'));
+  }
+  if (!data || !Array.isArray(data.alerts)) throw new Error('no "alerts" list in the response');
+  return data.alerts;
+}
+
+/**
+ * The stored filters in the shape filterFirms() takes. Values MapVoid
+ * wouldn't produce are dropped the way readUrlState() drops them.
+ */
+function normalizeFilters(raw) {
+  const f = (typeof raw === 'string' ? JSON.parse(raw) : raw) || {};
+  const list = v => (Array.isArray(v) ? v : String(v || '').split(',')).map(x => String(x).trim()).filter(Boolean);
+  const near = f.near || {};
+  const region = f.region || {};
+  return {
+    disciplines: list(f.disciplines).filter(d => DISCIPLINE_LABELS[d]),
+    state: typeof f.state === 'string' && f.state ? f.state : 'all',
+    refines: list(f.refines).filter(r => REFINES[r]),
+    specialty: String(f.specialty || ''),
+    q: String(f.q || ''),
+    minSalary: Number(f.minSalary) || 0,
+    near: [near.lat, near.lng, near.radius].every(Number.isFinite)
+      ? { lat: near.lat, lng: near.lng, radius: near.radius, label: String(near.label || 'Dropped pin') }
+      : null,
+    region: Array.isArray(region.points) && region.points.length >= 3
+      ? { name: String(region.name || 'Custom region'), points: region.points }
+      : null
+  };
+}
+
+function digestJob(firm, job) {
+  return {
+    id: job.id,
+    title: job.title,
+    firm: firm.name,
+    firm_id: firm.id,
+    location: [firm.city, firm.state].filter(Boolean).join(', '),
+    discipline: firm.discipline,
+    type: job.type,
+    salary: job.salary && job.salary !== 'See listing' ? job.salary : null,
+    url: job.url || `${MAPVOID}?firm=${firm.id}`,
+    firm_url: `${MAPVOID}?firm=${firm.id}`,
+    first_seen: job.first_seen
+  };
+}
+
+/**
+ * One digest per alert that has new jobs.
+ * @param {object[]} alerts   from loadAlerts()
+ * @param {object[]} firms    pipeline output, as published to MapVoid
+ * @param {Set<string>} newIds  IDs of jobs first seen in this run
+ * @returns {{ digests: object[], invalid: number }}
+ */
+function buildDigests(alerts, firms, newIds) {
+  // Search scores depend on the whole dataset, so the index covers every firm, as in MapVoid
+  const index = buildSearchIndex(firms);
+  const digests = [];
+  let invalid = 0;
+  for (const alert of alerts) {
+    let filters;
+    try {
+      filters = normalizeFilters(alert.filters);
+    } catch {
+      filters = null;
+    }
+    if (!filters || !alert.email) {
+      invalid++;
+      continue;
+    }
+    const text = parseQuery(filters.q).text;
+    const matched = filterFirms(firms, filters, text ? searchFirms(index, text) : null);
+    const jobs = matched.flatMap(f => f.jobs.filter(j => newIds.has(j.id)).map(j => digestJob(f, j)));
+    if (jobs.length === 0) continue;
+    digests.push({
+      alert_id: alert.id || null,
+      email: alert.email,
+      summary: alert.summary || describeFilters(filters),
+      url: `${MAPVOID}?${filterParams(filters).toString().replace(/%2C/g, ',')}`,
+      total: jobs.length,
+      jobs: jobs.slice(0, MAX_DIGEST_JOBS)
+    });
+  }
+  return { digests, invalid };
+}
+
+function writeDigests(file, runAt, digests) {
+  fs.writeFileSync(file, JSON.stringify({ action: 'digests', run_at: runAt, digests }, null, 2) + '\n');
+}
+
+module.exports = { loadAlerts, normalizeFilters, buildDigests, writeDigests };
@@ -0,0 +1,242 @@
+/**
+ * Careers-page scraping for firms without an ATS board.
+ *
+ * Starting from the firm's website, follow the links that look like a careers
+ * page and read postings from it:
+ *
+ *   1. schema.org JobPosting JSON-LD (what Google for Jobs reads) on the
+ *      careers page or on the posting pages it links to
+ *   2. otherwise, links (or failing that, headings) whose text reads like a
+ *      job title — "Project Architect", "Landscape Designer II"
+ *
+ * Jobs come out in the adapters' shape and go through the same relevance
+ * filter. Per-firm overrides live in data/careers-overrides.json, keyed by
+ * firm id:
+ *
+ *   url            careers page to read instead of searching the website
+ *   link_pattern   RegExp a posting link's href must match (replaces the title heuristic)
+ *   title_pattern  RegExp a posting title must match
+ *   skip           true to never scrape this firm
+ *
+ * Nothing here touches the network: scrapeCareers() takes a get(url) → html
+ * function, so it runs the same against saved HTML (see scrape-careers.js).
+ */
+
+const fs = require('fs');
+const { toISO, jobId, normalizeType } = require('../ats/common');
+const { makeSalary, parseSalaryText, applySalary } = require('./salary');
+const { applyClassification } = require('./classify');
+const { sanitizeHtml, htmlToText, plainText, decodeEntities } = require('./sanitize');
+
+const MAX_CAREERS_PAGES = 2;
+const MAX_POSTING_PAGES = 5;
+
+const CAREERS_HREF = /career|jobs?\b|join|opportunit|work-with-us|employment|hiring/i;
+const CAREERS_TEXT = /^(careers?|jobs|join (us|our team|the team)|work (with|for) us|opportunities|employment|open positions|we'?re hiring)$/i;
+// A job title names a role; "Landscape Architecture" (a service) and "Our Team" don't
+const ROLE_NOUN = /\b(architects?|designers?|intern(ship)?s?|planners?|drafters?|draftsperson|job captain|project captain|managers?|coordinators?|specialists?|directors?|associates?|principals?|technicians?|modell?ers?|visuali[sz]ers?|administrators?|engineers?)\b/i;
+const NOT_A_TITLE = /^(our|meet|about|the|why|join|what|how|who|for|view|see|apply|learn|read|more)\b/i;
+
+function loadOverrides(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+function absolute(href, base) {
+  try {
+    const url = new URL(decodeEntities(href).trim(), base);
+    return /^https?:$/.test(url.protocol) ? url.href.replace(/#.*$/, '') : null;
+  } catch {
+    return null;
+  }
+}
+
+function anchors(html, base) {
+  const out = [];
+  for (const m of String(html || '').matchAll(/<a\s[^>]*?href=["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi)) {
+    const url = absolute(m[1], base);
+    if (url) out.push({ url, text: plainText(m[2]) });
+  }
+  return out;
+}
+
+function sameSite(a, b) {
+  const host = u => new URL(u).hostname.replace(/^www\./, '');
+  return host(a) === host(b);
+}
+
+/**
+ * Links on a page that look like the firm's careers page, best first:
+ * link text that says so beats a matching href; the firm's own site beats others.
+ */
+function careersLinks(html, base) {
+  const scored = new Map();
+  for (const { url, text } of anchors(html, base)) {
+    if (url === base) continue;
+    const score = (CAREERS_TEXT.test(text) ? 2 : 0) + (CAREERS_HREF.test(new URL(url).pathname) ? 1 : 0) + (sameSite(url, base) ? 1 : 0);
+    if (score >= 2 && score > (scored.get(url) || 0)) scored.set(url, score);
+  }
+  return [...scored].sort((a, b) => b[1] - a[1]).map(([url]) => url);
+}
+
+// ─── JSON-LD ─────────────────────────────────────────────────
+
+function isPosting(node) {
+  const type = node && node['@type'];
+  return Array.isArray(type) ? type.includes('JobPosting') : type === 'JobPosting';
+}
+
+/**
+ * schema.org JobPosting objects in a page's JSON-LD blocks, including ones
+ * nested in @graph or an ItemList.
+ */
+function jsonLdPostings(html) {
+  const found = [];
+  const visit = node => {
+    if (Array.isArray(node)) return node.forEach(visit);
+    if (!node || typeof node !== 'object') return;
+    if (isPosting(node)) return found.push(node);
+    if (node['@graph']) visit(node['@graph']);
+    if (node.itemListElement) visit(node.itemListElement);
+    if (node.item) visit(node.item);
+  };
+  for (const m of String(html || '').matchAll(/<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi)) {
+    try {
+      visit(JSON.parse(m[1].replace(/^\s*(<!--|<!\[CDATA\[)|(-->|\]\]>)\s*$/g, '')));
+    } catch {
+      // Malformed block; other blocks on the page may still parse
+    }
+  }
+  return found;
+}
+
+function postingLocation(p) {
+  const places = [].concat(p.jobLocation || []);
+  return places.map(place => {
+    const a = (place && place.address) || {};
+    return typeof a === 'string' ? a : [a.addressLocality, a.addressRegion].filter(Boolean).join(', ');
+  }).filter(Boolean).join(' | ');
+}
+
+function postingSalary(p, text) {
+  const pay = p.baseSalary;
+  if (pay && typeof pay === 'object') {
+    const v = pay.value && typeof pay.value === 'object' ? pay.value : { value: pay.value };
+    const salary = makeSalary(v.minValue || v.value, v.maxValue || v.value, pay.currency, v.unitText || pay.unitText);
+    if (salary) return salary;
+  }
+  return parseSalaryText(text);
+}
+
+function postingToJob(p, pageUrl) {
+  const title = plainText(p.title || p.name) || 'Untitled';
+  const url = absolute(p.url || '', pageUrl) || pageUrl;
+  const description = sanitizeHtml(decodeEntities(p.description || ''));
+  const text = htmlToText(description);
+  const identifier = p.identifier && typeof p.identifier === 'object' ? p.identifier.value : p.identifier;
+  return applyClassification(applySalary({
+    id: jobId('careers', identifier, url, title),
+    title,
+    // schema.org employmentType values are FULL_TIME, PART_TIME, CONTRACTOR, INTERN, ...
+    type: normalizeType([].concat(p.employmentType || []).join(' ').replace(/_/g, ' '), title),
+    salary: 'See listing',
+    posted_at: toISO(p.datePosted),
+    url,
+    description
+  }, postingSalary(p, text)), {
+    department: p.occupationalCategory || p.industry,
+    location: postingLocation(p),
+    remote: p.jobLocationType === 'TELECOMMUTE',
+    description: text
+  });
+}
+
+// ─── Heuristics ──────────────────────────────────────────────
+
+function looksLikeTitle(text, override) {
+  if (text.length < 4 || text.length > 80 || text.split(/\s+/).length > 8) return false;
+  if (override.title_pattern) return new RegExp(override.title_pattern, 'i').test(text);
+  return ROLE_NOUN.test(text) && !NOT_A_TITLE.test(text);
+}
+
+/**
+ * Postings read off a careers page without structured data:
+ * [{ title, url }], where url is the posting page or the careers page itself.
+ */
+function heuristicPostings(html, pageUrl, override = {}) {
+  const seen = new Map();
+  for (const { url, text } of anchors(html, pageUrl)) {
+    if (url === pageUrl || seen.has(url)) continue;
+    if (override.link_pattern) {
+      if (new RegExp(override.link_pattern, 'i').test(url) && text) seen.set(url, text);
+    } else if (looksLikeTitle(text, override)) {
+      seen.set(url, text);
+    }
+  }
+  if (seen.size > 0 || override.link_pattern) return [...seen].map(([url, title]) => ({ title, url }));
+
+  // Small studios often list openings as headings with an email address to apply
+  const titles = new Set();
+  for (const m of String(html || '').matchAll(/<h[2-5][^>]*>([\s\S]*?)<\/h[2-5]>/gi)) {
+    const text = plainText(m[1]);
+    if (looksLikeTitle(text, override)) titles.add(text);
+  }
+  return [...titles].map(title => ({ title, url: pageUrl }));
+}
+
+function linkToJob({ title, url }) {
+  return applyClassification({
+    id: jobId('careers', null, url, title),
+    title,
+    type: normalizeType(null, title),
+    salary: 'See listing',
+    posted_at: null,
+    url
+  }, {});
+}
+
+// ─── Scraping ────────────────────────────────────────────────
+
+/**
+ * Jobs from a firm's careers pages.
+ * @param {object} firm      firms-base.json entry
+ * @param {(url: string) => Promise<string|null>} get  page HTML, or null
+ * @param {object} [override]  the firm's entry in careers-overrides.json
+ * @returns {Promise<{ pages: string[], jobs: object[] }>} pages read, jobs found
+ */
+async function scrapeCareers(firm, get, override = {}) {
+  if (override.skip) return { pages: [], jobs: [] };
+  let pages = override.url ? [override.url] : [];
+  if (pages.length === 0 && firm.website) {
+    const home = await get(firm.website);
+    if (home === null) return { pages: [], jobs: [] };
+    pages = careersLinks(home, firm.website).slice(0, MAX_CAREERS_PAGES);
+  }
+
+  const read = [];
+  for (const pageUrl of pages) {
+    const html = await get(pageUrl);
+    if (html === null) continue;
+    read.push(pageUrl);
+
+    const postings = jsonLdPostings(html);
+    if (postings.length > 0) return { pages: read, jobs: postings.map(p => postingToJob(p, pageUrl)) };
+
+    const links = heuristicPostings(html, pageUrl, override);
+    if (links.length === 0) continue;
+    // Posting pages often carry the JSON-LD the listing lacks, with description and pay
+    const jobs = [];
+    for (const [i, link] of links.entries()) {
+      const detail = i < MAX_POSTING_PAGES && link.url !== pageUrl && sameSite(link.url, pageUrl) ? await get(link.url) : null;
+      const structured = detail ? jsonLdPostings(detail) : [];
+      jobs.push(structured.length ? postingToJob(structured[0], link.url) : linkToJob(link));
+    }
+    return { pages: read, jobs };
+  }
+  return { pages: read, jobs: [] };
+}
+
+module.exports = { loadOverrides, careersLinks, jsonLdPostings, heuristicPostings, scrapeCareers };
@@ -0,0 +1,161 @@
+/**
+ * Job classification: seniority, role family and work arrangement.
+ *
+ * Signals, strongest first:
+ *   1. the job title
+ *   2. structured ATS metadata (experience level, department, workplace type, remote flags)
+ *   3. the description ("5+ years of experience", "hybrid schedule", ...)
+ *
+ * Adds { seniority, role_family, work_arrangement } to each job:
+ *   seniority         intern | entry | mid | senior | principal
+ *   role_family       architect | landscape | urban | bim | visualization | pm | interiors | other
+ *   work_arrangement  remote | hybrid | onsite
+ *
+ * applyClassification() also attaches a relevance score (see relevance.js).
+ */
+
+const { scoreRelevance } = require('./relevance');
+
+const SENIORITY = ['intern', 'entry', 'mid', 'senior', 'principal'];
+const ROLE_FAMILIES = ['architect', 'landscape', 'urban', 'bim', 'visualization', 'pm', 'interiors', 'other'];
+const ARRANGEMENTS = ['remote', 'hybrid', 'onsite'];
+
+// ─── Seniority ───────────────────────────────────────────────
+
+// "Intern Architect" / "Architectural Intern" are licensure-track staff roles, not student internships
+const LICENSURE_INTERN = /\bintern architect\b|\barchitectural intern\b|\bintern,? architect/;
+
+const TITLE_SENIORITY = [
+  ['principal', /\b(principal|partner|director|vice president|vp|head of|chief|studio (leader|head)|managing)\b/],
+  ['intern', /\b(intern|internship|co-?op|summer (associate|student))\b/],
+  ['entry', /\b(junior|jr\.?|entry[\s-]level|graduate|new grad|apprentice|assistant|trainee|fellow)\b|\s(i|1)$/],
+  ['senior', /\b(senior|sr\.?|lead|manager|iii|iv|level (iii|iv|3|4))\b|\bassociate\b(?!\s+(designer|architect|planner|landscape|urban|interior))/],
+  ['mid', /\b(ii|level (ii|2)|intermediate|mid[\s-]level)\b/]
+];
+
+// SmartRecruiters experienceLevel, JSearch experience labels and similar ATS fields
+const META_SENIORITY = [
+  ['intern', /intern/],
+  ['principal', /director|executive/],
+  ['entry', /entry|associate|graduate/],
+  ['senior', /senior/],
+  ['mid', /mid/]
+];
+
+function seniorityFromTitle(title) {
+  if (LICENSURE_INTERN.test(title)) return 'entry';
+  for (const [level, re] of TITLE_SENIORITY) {
+    if (re.test(title)) return level;
+  }
+  return null;
+}
+
+function seniorityFromYears(years) {
+  if (years <= 2) return 'entry';
+  if (years <= 6) return 'mid';
+  if (years <= 11) return 'senior';
+  return 'principal';
+}
+
+// "5+ years of experience", "3-5 years experience", "minimum of 8 years"
+function yearsFromText(text) {
+  const m = text.match(/(\d{1,2})\s*(?:\+|-|–|to)?\s*(?:\d{1,2}\s*)?\+?\s*years?(?:'|’)?\s+(?:of\s+)?(?:\w+\s+){0,3}?experience/)
+    || text.match(/minimum of (\d{1,2}) years/);
+  return m ? Number(m[1]) : null;
+}
+
+function classifySeniority(title, signals) {
+  const fromTitle = seniorityFromTitle(title);
+  if (fromTitle) return fromTitle;
+  if (signals.type === 'Internship') return 'intern';
+  const level = (signals.experienceLevel || '').toLowerCase();
+  for (const [name, re] of META_SENIORITY) {
+    if (level && re.test(level)) return name;
+  }
+  if (signals.experienceMonths) return seniorityFromYears(signals.experienceMonths / 12);
+  const years = yearsFromText((signals.description || '').toLowerCase());
+  return years !== null ? seniorityFromYears(years) : 'mid';
+}
+
+// ─── Role family ─────────────────────────────────────────────
+
+// Order matters: "Landscape Architect" is landscape, "Interior Architect" is interiors,
+// "BIM Manager" is bim rather than pm. Bare "technology" is IT, not BIM, so only
+// design and building technology count.
+const FAMILY_RULES = [
+  ['landscape', /landscape|\bsite design/],
+  ['interiors', /interior|\bff&e\b|workplace strateg/],
+  ['urban', /urban|planner|planning|master ?plan|zoning/],
+  ['visualization', /visuali[sz]|render|\bcgi\b|3d artist|animat|\bviz\b/],
+  ['bim', /\bbim\b|\bvdc\b|revit|computational|digital (design|practice)|(design|building|practice) technolog|\bcad\b|drafter|draftsperson|drafting/],
+  ['pm', /project manager|program manager|project management|construction (administrat|manager)|contract administrat|project coordinator/],
+  ['architect', /architect|designer|design|job captain|project captain|specification|code consultant/]
+];
+
+function familyFrom(text) {
+  for (const [family, re] of FAMILY_RULES) {
+    if (re.test(text)) return family;
+  }
+  return null;
+}
+
+function classifyFamily(title, signals) {
+  return familyFrom(title) || familyFrom((signals.department || '').toLowerCase()) || 'other';
+}
+
+// ─── Work arrangement ────────────────────────────────────────
+
+function arrangementFrom(text) {
+  if (/\bhybrid\b/.test(text)) return 'hybrid';
+  if (/\b(remote|work from home|wfh|telecommut|distributed)\b/.test(text)) return 'remote';
+  if (/\b(on[\s-]?site|in[\s-]office|in[\s-]person)\b/.test(text)) return 'onsite';
+  return null;
+}
+
+// Descriptions mention "remote" in passing ("remote collaboration tools"),
+// so only explicit arrangements count there
+function arrangementFromDescription(text) {
+  if (/\bhybrid (schedule|work|model|role|position|environment|arrangement)|\b\d days? (a|per) week in (the )?office/.test(text)) return 'hybrid';
+  if (/\b(fully|100%|entirely) remote\b|\bremote[\s-](first|position|role|opportunity)\b|\bthis (is a|position is|role is) remote\b/.test(text)) return 'remote';
+  return null;
+}
+
+function classifyArrangement(title, signals) {
+  // Structured fields: Lever/Ashby workplaceType, SmartRecruiters location.remote/hybrid, JSearch job_is_remote
+  const workplace = String(signals.workplace || '').toLowerCase().replace(/[^a-z]/g, '');
+  if (workplace === 'remote') return 'remote';
+  if (workplace === 'hybrid') return 'hybrid';
+  if (workplace === 'onsite') return 'onsite';
+  if (signals.hybrid === true) return 'hybrid';
+  if (signals.remote === true) return 'remote';
+  return arrangementFrom(title)
+    || arrangementFrom((signals.location || '').toLowerCase())
+    || arrangementFromDescription((signals.description || '').toLowerCase())
+    || 'onsite';
+}
+
+// ─── Public API ──────────────────────────────────────────────
+
+/**
+ * Classify a job from its title plus whatever the source exposes.
+ * @param {{ title: string, type?: string }} job
+ * @param {{ department?, location?, workplace?, remote?, hybrid?, experienceLevel?,
+ *           experienceMonths?, description? }} [signals]
+ */
+function classifyJob(job, signals = {}) {
+  const title = (job.title || '').toLowerCase().trim();
+  const all = { type: job.type, ...signals };
+  return {
+    seniority: classifySeniority(title, all),
+    role_family: classifyFamily(title, all),
+    work_arrangement: classifyArrangement(title, all)
+  };
+}
+
+// Adapters call this the same way as applySalary(). The relevance score rides
+// along on the job until fetch-jobs.js has filtered on it and stripped it.
+function applyClassification(job, signals) {
+  return Object.assign(job, classifyJob(job, signals), { relevance: scoreRelevance(job, signals) });
+}
+
+module.exports = { SENIORITY, ROLE_FAMILIES, ARRANGEMENTS, classifyJob, applyClassification };
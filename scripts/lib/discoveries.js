@@ -0,0 +1,109 @@
+/**
+ * JSearch discoveries store (data/jsearch-discoveries.json).
+ *
+ * Employers that posted relevant jobs but are not in firms-base.json. Runs add
+ * to the store instead of replacing it, so candidates build up a job history
+ * until someone reviews them with discoveries.js:
+ *
+ *   {
+ *     "updated_at": "...",
+ *     "candidates": {
+ *       "rustic road landscaping": {
+ *         "employer": "Rustic Road Landscaping", "website": "...",
+ *         "locations": ["Burlington, WI"], "first_seen": "...", "last_seen": "...",
+ *         "nearest": { "id": 12, "name": "...", "score": 0.71 },
+ *         "jobs": [{ "id": "...", "title": "...", ..., "last_seen": "..." }]
+ *       }
+ *     },
+ *     "rejected": { "rustic road landscaping": { "employer": "...", "rejected_at": "...", "reason": "..." } }
+ *   }
+ *
+ * Candidates are keyed by normalized employer name (see entities.js), so
+ * "Acme Architects, Inc." and "ACME Architects" collapse into one.
+ */
+
+const fs = require('fs');
+const { normalizeName } = require('./entities');
+const { stateCode } = require('./places');
+
+// Candidates nobody reviewed are forgotten once they stop posting for this long
+const RETAIN_DAYS = 120;
+const MAX_JOBS_PER_CANDIDATE = 25;
+
+function discoveryKey(employer) {
+  return normalizeName(employer);
+}
+
+function emptyStore() {
+  return { updated_at: null, candidates: {}, rejected: {} };
+}
+
+function loadDiscoveries(file) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return emptyStore();
+  }
+  // Before the store existed each run wrote a plain array of { employer, city, state, job }
+  if (Array.isArray(data)) {
+    const store = emptyStore();
+    mergeDiscoveries(store, data);
+    return store;
+  }
+  return { ...emptyStore(), ...data };
+}
+
+function saveDiscoveries(file, store) {
+  fs.writeFileSync(file, JSON.stringify(store, null, 2) + '\n');
+}
+
+function isRejected(store, employer) {
+  return Boolean(store.rejected[discoveryKey(employer)]);
+}
+
+/**
+ * Fold this run's unmatched employers ({ employer, website, city, state, nearest, job })
+ * into the store. Rejected employers are ignored; jobs are de-duplicated by ID.
+ * @returns {{ added: string[], updated: string[] }} candidate keys
+ */
+function mergeDiscoveries(store, unmatched, now = new Date()) {
+  const nowISO = now.toISOString();
+  const added = new Set();
+  const updated = new Set();
+
+  for (const d of unmatched) {
+    const key = discoveryKey(d.employer);
+    if (!key || store.rejected[key]) continue;
+    let c = store.candidates[key];
+    if (!c) {
+      c = store.candidates[key] = { employer: d.employer, website: '', locations: [], first_seen: nowISO, last_seen: nowISO, nearest: null, jobs: [] };
+      added.add(key);
+    } else if (!added.has(key)) {
+      updated.add(key);
+    }
+    c.last_seen = nowISO;
+    c.website = c.website || d.website || '';
+    if (d.nearest) c.nearest = d.nearest;
+    const location = [d.city, stateCode(d.state) || d.state].filter(Boolean).join(', ');
+    if (location && !c.locations.includes(location)) c.locations.push(location);
+
+    const job = { ...d.job, last_seen: nowISO };
+    const i = c.jobs.findIndex(j => (job.id && j.id === job.id) || (j.title === job.title && j.url === job.url));
+    if (i >= 0) c.jobs[i] = job;
+    else c.jobs.push(job);
+  }
+
+  for (const c of Object.values(store.candidates)) {
+    c.jobs.sort((a, b) => (b.last_seen || '').localeCompare(a.last_seen || ''));
+    c.jobs = c.jobs.slice(0, MAX_JOBS_PER_CANDIDATE);
+  }
+  const cutoff = now.getTime() - RETAIN_DAYS * 86400000;
+  for (const [key, c] of Object.entries(store.candidates)) {
+    if (new Date(c.last_seen).getTime() < cutoff) delete store.candidates[key];
+  }
+  store.updated_at = nowISO;
+  return { added: [...added], updated: [...updated] };
+}
+
+module.exports = { discoveryKey, loadDiscoveries, saveDiscoveries, isRejected, mergeDiscoveries };
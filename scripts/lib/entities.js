@@ -0,0 +1,183 @@
+/**
+ * Firm entity resolution.
+ *
+ * Decides whether an employer name from an aggregator (JSearch) is one of the
+ * firms in firms-base.json. Each firm is scored on
+ *
+ *   name       token / character similarity of the normalized names (0–1),
+ *              or 1 for a known alias
+ *   website    +0.3 when the employer's website domain is the firm's
+ *   location   +0.05 same state, +0.1 more within NEARBY_MILES
+ *
+ * and the best firm wins if it reaches MATCH_THRESHOLD. When two different
+ * firms score about the same the employer is left unmatched rather than
+ * guessed; offices of the same firm ("Gensler (SF)", "Gensler (Houston)"),
+ * which share a name, are not a conflict and the nearest office wins instead.
+ */
+
+const { stateCode, distanceMiles } = require('./places');
+
+const MATCH_THRESHOLD = 0.9;
+// Without a website match, names less similar than this never match
+const MIN_NAME_SIMILARITY = 0.5;
+const AMBIGUOUS_MARGIN = 0.05;
+const NEARBY_MILES = 30;
+
+const LEGAL_SUFFIXES = new Set(['inc', 'llc', 'llp', 'pllc', 'pc', 'pa', 'ltd', 'corp', 'corporation', 'co', 'company']);
+// Dropped from the end of a name only, so "Design Workshop" keeps its "design"
+const GENERIC_TRAILING = new Set(['architects', 'architecture', 'architectural', 'design', 'designs', 'studio', 'studios',
+  'group', 'associates', 'partners', 'partnership', 'consulting', 'collaborative', 'planning', 'landscape', 'firm', 'the']);
+
+function words(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/&|\+/g, ' and ')
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(w => w && w !== 'and' && !LEGAL_SUFFIXES.has(w));
+}
+
+function tokens(name) {
+  const list = words(name);
+  while (list.length > 1 && GENERIC_TRAILING.has(list[list.length - 1])) list.pop();
+  if (list[0] === 'the' && list.length > 1) list.shift();
+  return list;
+}
+
+function normalizeName(name) {
+  return tokens(name).join(' ');
+}
+
+function bigrams(text) {
+  const grams = new Map();
+  for (let i = 0; i < text.length - 1; i++) {
+    const g = text.slice(i, i + 2);
+    grams.set(g, (grams.get(g) || 0) + 1);
+  }
+  return grams;
+}
+
+function dice(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let common = 0;
+  let total = 0;
+  for (const [g, n] of a) common += Math.min(n, b.get(g) || 0);
+  for (const n of a.values()) total += n;
+  for (const n of b.values()) total += n;
+  return 2 * common / total;
+}
+
+// 1 for names that normalize alike ("Perkins&Will" / "Perkins and Will", "SmithGroup" / "Smith Group"),
+// else the better of word and letter overlap
+function nameSimilarity(a, b) {
+  const ta = tokens(a);
+  const tb = tokens(b);
+  const ca = ta.join('');
+  const cb = tb.join('');
+  if (!ca || !cb) return 0;
+  if (ca === cb || words(a).join('') === words(b).join('')) return 1;
+  const count = list => new Map(list.map(w => [w, 1]));
+  return Math.max(dice(count(ta), count(tb)), dice(bigrams(ca), bigrams(cb)));
+}
+
+function domainOf(url) {
+  if (!url) return '';
+  try {
+    return new URL(/^https?:/i.test(url) ? url : 'https://' + url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
+
+// "SOM (Skidmore, Owings & Merrill)" is known by both names; "Gensler (Houston)" only by the first
+function nameVariants(firm) {
+  const names = [firm.name, ...(firm.aliases || [])];
+  const m = firm.name.match(/^(.*?)\s*\(([^)]+)\)\s*$/);
+  if (m) {
+    names[0] = m[1];
+    if (/^[A-Z]{3,}$/.test(m[1].trim()) || /^[A-Z]{3,}$/.test(m[2].trim())) names.push(m[2]);
+  }
+  return names;
+}
+
+/**
+ * Build a matcher over `firms`. `geocode(city, state)` (see places.js) places
+ * employers that only come with a city name.
+ * @returns {(employer: { name, website?, city?, state? }) => { firm, nearest, score, reasons, ambiguous } | null}
+ *   `firm` is only set when the match is accepted; `nearest` always names the
+ *   best-scoring firm so reviewers can see near misses
+ */
+function createMatcher(firms, geocode = () => null) {
+  const entries = firms.map(f => ({
+    firm: f,
+    names: nameVariants(f),
+    keys: new Set(nameVariants(f).map(normalizeName)),
+    aliases: new Set((f.aliases || []).map(normalizeName)),
+    domain: domainOf(f.website)
+  }));
+  const cache = new Map();
+
+  function score(entry, employer, place) {
+    const reasons = [];
+    const key = normalizeName(employer.name);
+    let name = 0;
+    if (entry.aliases.has(key)) {
+      name = 1;
+      reasons.push('alias');
+    } else {
+      name = Math.max(...entry.names.map(n => nameSimilarity(n, employer.name)));
+      reasons.push(`name ${name.toFixed(2)}`);
+    }
+    let total = name;
+    const domain = domainOf(employer.website);
+    const sameDomain = domain && entry.domain && domain === entry.domain;
+    if (sameDomain) {
+      total += 0.3;
+      reasons.push('website');
+    }
+    if (name < MIN_NAME_SIMILARITY && !sameDomain) return null;
+    const state = stateCode(employer.state);
+    if (state && state === entry.firm.state) {
+      total += 0.05;
+      reasons.push('same state');
+    }
+    let miles = null;
+    if (place && entry.firm.lat != null) {
+      miles = distanceMiles(place.lat, place.lng, entry.firm.lat, entry.firm.lng);
+      if (miles <= NEARBY_MILES) {
+        total += 0.1;
+        reasons.push(`${Math.round(miles)} mi away`);
+      }
+    }
+    return { firm: entry.firm, keys: entry.keys, score: total, miles, reasons };
+  }
+
+  return function match(employer) {
+    const cacheKey = [employer.name, employer.website, employer.city, employer.state].join('|');
+    if (cache.has(cacheKey)) return cache.get(cacheKey);
+
+    const place = geocode(employer.city, employer.state);
+    const scored = entries.map(e => score(e, employer, place)).filter(Boolean)
+      .sort((a, b) => b.score - a.score || (a.miles ?? Infinity) - (b.miles ?? Infinity));
+    let result = null;
+    if (scored.length) {
+      const [best] = scored;
+      const sameFirm = s => [...s.keys].some(k => best.keys.has(k));
+      const rival = scored.find(s => !sameFirm(s) && best.score - s.score < AMBIGUOUS_MARGIN);
+      const accepted = best.score >= MATCH_THRESHOLD && !rival;
+      result = {
+        firm: accepted ? best.firm : null,
+        nearest: { id: best.firm.id, name: best.firm.name, score: Number(best.score.toFixed(2)) },
+        score: best.score,
+        reasons: rival ? [...best.reasons, `ambiguous with ${rival.firm.name}`] : best.reasons,
+        ambiguous: Boolean(rival)
+      };
+    }
+    cache.set(cacheKey, result);
+    return result;
+  };
+}
+
+module.exports = { MATCH_THRESHOLD, normalizeName, nameSimilarity, domainOf, createMatcher };
@@ -0,0 +1,167 @@
+/**
+ * Static feeds of new jobs (mapvoid/feeds/), in Atom and JSON Feed 1.1.
+ *
+ *   all.xml / all.json              every new job
+ *   <discipline>.xml                landscape.xml, urban.json, ...
+ *   <ST>.xml                        CA.xml, NY.json, ...
+ *   <discipline>-<ST>.xml           landscape-CA.xml
+ *
+ * A job is "new" for FEED_DAYS after the pipeline first saw it, so a reader
+ * polling weekly picks up every run's new listings; entry IDs are the job IDs,
+ * so nothing shows up twice. Jobs first seen on the run that started the
+ * history were already open, so they never count as new; otherwise the feeds
+ * after a fresh start would list the whole catalogue. Feeds are written for
+ * every discipline and state that has firms, even when they have no new jobs
+ * right now, so a subscribed URL never disappears.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SITE = 'https://thresholdarch.com';
+const MAPVOID = `${SITE}/mapvoid/`;
+const FEED_DAYS = 30;
+const MAX_ENTRIES = 100;
+
+const DISCIPLINE_LABELS = { architecture: 'Architecture', landscape: 'Landscape Architecture', urban: 'Urban Design', multi: 'Multidisciplinary' };
+const SENIORITY_LABELS = { intern: 'Internship', entry: 'Entry level', mid: 'Mid-level', senior: 'Senior', principal: 'Principal' };
+
+function escapeXml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function location(firm) {
+  return [firm.city, firm.state].filter(Boolean).join(', ');
+}
+
+function entryFor(firm, job) {
+  const details = [firm.name, location(firm), job.type];
+  if (job.salary && job.salary !== 'See listing') details.push(job.salary);
+  if (job.seniority && job.seniority !== 'intern') details.push(SENIORITY_LABELS[job.seniority]);
+  return {
+    id: job.id,
+    title: `${job.title} — ${firm.name}`,
+    url: job.url || `${MAPVOID}?firm=${firm.id}`,
+    firmUrl: `${MAPVOID}?firm=${firm.id}`,
+    summary: details.filter(Boolean).join(' · '),
+    date: job.first_seen,
+    firm,
+    job
+  };
+}
+
+function atomFeed(feed, entries) {
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <id>${SITE}/mapvoid/feeds/${feed.name}.xml</id>`,
+    `  <link rel="self" href="${SITE}/mapvoid/feeds/${feed.name}.xml"/>`,
+    `  <link rel="alternate" href="${escapeXml(feed.home)}"/>`,
+    `  <updated>${feed.updated}</updated>`,
+    '  <author><name>Threshold</name></author>'
+  ];
+  for (const e of entries) {
+    lines.push(
+      '  <entry>',
+      `    <id>${SITE}/mapvoid/jobs/${escapeXml(e.id)}</id>`,
+      `    <title>${escapeXml(e.title)}</title>`,
+      `    <link rel="alternate" href="${escapeXml(e.url)}"/>`,
+      `    <link rel="related" href="${escapeXml(e.firmUrl)}"/>`,
+      `    <updated>${e.date}</updated>`,
+      `    <category term="${e.firm.discipline}"/>`,
+      e.firm.state ? `    <category term="${escapeXml(e.firm.state)}"/>` : null,
+      `    <summary>${escapeXml(e.summary)}</summary>`,
+      '  </entry>'
+    );
+  }
+  lines.push('</feed>');
+  return lines.filter(l => l !== null).join('\n') + '\n';
+}
+
+function jsonFeed(feed, entries) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.home,
+    feed_url: `${SITE}/mapvoid/feeds/${feed.name}.json`,
+    items: entries.map(e => ({
+      id: e.id,
+      url: e.url,
+      external_url: e.firmUrl,
+      title: e.title,
+      content_text: e.summary,
+      date_published: e.date,
+      tags: [e.firm.discipline, e.firm.state].filter(Boolean),
+      // Structured fields for anyone piping the feed into their own tools
+      _threshold: {
+        firm: e.firm.name,
+        firm_id: e.firm.id,
+        city: e.firm.city,
+        state: e.firm.state,
+        discipline: e.firm.discipline,
+        type: e.job.type,
+        seniority: e.job.seniority || null,
+        salary_min: e.job.salary_min || null,
+        salary_max: e.job.salary_max || null,
+        currency: e.job.currency || null,
+        period: e.job.period || null
+      }
+    }))
+  }, null, 2) + '\n';
+}
+
+// New within FEED_DAYS, and seen after the run that started the history
+function isNew(job, since, trackedSince) {
+  if (!job.first_seen || new Date(job.first_seen).getTime() < since) return false;
+  return !trackedSince || new Date(job.first_seen) > new Date(trackedSince);
+}
+
+/**
+ * Write every feed for `firms` (pipeline output objects, jobs carrying
+ * first_seen) into `dir`, removing feeds that no longer apply.
+ * `trackedSince` is the history's started_at (lib/history.js).
+ * @returns {number} feeds written (each in both formats)
+ */
+function writeFeeds(firms, dir, now = new Date(), trackedSince = null) {
+  fs.mkdirSync(dir, { recursive: true });
+  const since = now.getTime() - FEED_DAYS * 86400000;
+  const entries = [];
+  for (const f of firms) {
+    for (const j of f.jobs) {
+      if (isNew(j, since, trackedSince)) entries.push(entryFor(f, j));
+    }
+  }
+  entries.sort((a, b) => b.date.localeCompare(a.date));
+  // Feed timestamps follow the jobs, not the run, so a run with nothing new leaves the files alone
+  const latest = entries.length ? entries[0].date : null;
+
+  const feeds = [{ name: 'all', title: 'New architecture & design jobs', home: MAPVOID, match: () => true }];
+  const states = [...new Set(firms.map(f => f.state).filter(s => /^[A-Z]{2}$/.test(s || '')))].sort();
+  for (const [disc, label] of Object.entries(DISCIPLINE_LABELS)) {
+    if (!firms.some(f => f.discipline === disc)) continue;
+    feeds.push({ name: disc, title: `New ${label} jobs`, home: `${MAPVOID}?discipline=${disc}`, match: f => f.discipline === disc });
+  }
+  for (const state of states) {
+    feeds.push({ name: state, title: `New design jobs in ${state}`, home: `${MAPVOID}?state=${state}`, match: f => f.state === state });
+    for (const [disc, label] of Object.entries(DISCIPLINE_LABELS)) {
+      if (!firms.some(f => f.discipline === disc && f.state === state)) continue;
+      feeds.push({ name: `${disc}-${state}`, title: `New ${label} jobs in ${state}`, home: `${MAPVOID}?discipline=${disc}&state=${state}`, match: f => f.discipline === disc && f.state === state });
+    }
+  }
+
+  const written = new Set();
+  for (const feed of feeds) {
+    const list = entries.filter(e => feed.match(e.firm)).slice(0, MAX_ENTRIES);
+    feed.updated = list.length ? list[0].date : latest || now.toISOString();
+    fs.writeFileSync(path.join(dir, `${feed.name}.xml`), atomFeed(feed, list));
+    fs.writeFileSync(path.join(dir, `${feed.name}.json`), jsonFeed(feed, list));
+    written.add(`${feed.name}.xml`).add(`${feed.name}.json`);
+  }
+  for (const file of fs.readdirSync(dir)) {
+    if (/\.(xml|json)$/.test(file) && !written.has(file)) fs.unlinkSync(path.join(dir, file));
+  }
+  return feeds.length;
+}
+
+module.exports = { FEED_DAYS, writeFeeds };
@@ -0,0 +1,99 @@
+/**
+ * Job history store (data/job-history.json).
+ *
+ * Keeps one record per stable job ID so that every run can tell new postings
+ * from ones that have been open for months, and notice when a role closes.
+ *
+ *   {
+ *     "started_at": "2026-10-12T06:00:00.000Z",
+ *     "updated_at": "2026-10-19T06:00:00.000Z",
+ *     "jobs": {
+ *       "greenhouse-4962025007": {
+ *         "firm_id": 12, "title": "...", "url": "...",
+ *         "posted_at": "...", "first_seen": "...", "last_seen": "...",
+ *         "closed_at": null
+ *       }
+ *     }
+ *   }
+ *
+ * started_at is the first run recorded: jobs first seen then were already open
+ * before tracking began, so they aren't new to anyone.
+ */
+
+const fs = require('fs');
+
+// Closed jobs are forgotten after this long
+const RETAIN_CLOSED_DAYS = 180;
+
+function loadHistory(file) {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (data && data.jobs && typeof data.jobs === 'object') return data;
+  } catch {
+    // Missing or unreadable — start fresh
+  }
+  return { started_at: null, updated_at: null, jobs: {} };
+}
+
+function saveHistory(file, history) {
+  fs.writeFileSync(file, JSON.stringify(history, null, 2) + '\n');
+}
+
+/**
+ * Stamp first_seen / last_seen / posted_at onto every job in `firms` and
+ * fold this run into `history`. Open jobs that were not seen are closed.
+ * Returns the IDs that were added and closed in this run.
+ */
+function recordRun(history, firms, now = new Date()) {
+  const nowISO = now.toISOString();
+  const seen = new Set();
+  const added = [];
+  const closed = [];
+
+  for (const firm of firms) {
+    for (const job of firm.jobs) {
+      if (!job.id) continue;
+      seen.add(job.id);
+      let entry = history.jobs[job.id];
+      if (!entry || entry.closed_at) {
+        // New, or a closed role that was reposted under the same ID
+        entry = history.jobs[job.id] = {
+          firm_id: firm.id,
+          title: job.title,
+          url: job.url || '',
+          posted_at: null,
+          first_seen: nowISO,
+          last_seen: nowISO,
+          closed_at: null
+        };
+        added.push(job.id);
+      }
+      entry.firm_id = firm.id;
+      entry.title = job.title;
+      entry.url = job.url || entry.url;
+      entry.last_seen = nowISO;
+      entry.posted_at = job.posted_at || entry.posted_at || null;
+
+      job.posted_at = entry.posted_at;
+      job.first_seen = entry.first_seen;
+      job.last_seen = entry.last_seen;
+    }
+  }
+
+  const cutoff = now.getTime() - RETAIN_CLOSED_DAYS * 86400000;
+  for (const [id, entry] of Object.entries(history.jobs)) {
+    if (!entry.closed_at && !seen.has(id)) {
+      entry.closed_at = nowISO;
+      closed.push(id);
+    } else if (entry.closed_at && new Date(entry.closed_at).getTime() < cutoff) {
+      delete history.jobs[id];
+    }
+  }
+
+  // Only a fresh store is stamped; a store saved before started_at existed goes without
+  if (!history.updated_at) history.started_at = nowISO;
+  history.updated_at = nowISO;
+  return { added, closed };
+}
+
+module.exports = { loadHistory, saveHistory, recordRun };
@@ -0,0 +1,239 @@
+/**
+ * Shared HTTP client for fetch-jobs.js and probe-ats.js.
+ *
+ *   retries   429, 5xx, timeouts and transient network errors (a reset connection,
+ *             a DNS hiccup) are retried with jittered exponential backoff; Retry-After
+ *             is honoured and pauses the whole host. A host that doesn't resolve or
+ *             refuses connections fails at once: a dead firm website won't come back
+ *             within the run.
+ *   per host  at most `concurrency` requests in flight, `minInterval` ms between starts
+ *   caching   GET responses carrying an ETag or Last-Modified are kept in `cacheDir`
+ *             and revalidated with If-None-Match / If-Modified-Since
+ *   record    HTTP_RECORD=<dir> saves every response as a fixture
+ *   replay    HTTP_REPLAY=<url> sends every request to a stand-in server
+ *             (fixture-server.js) instead of the real host
+ *
+ * Requests never throw: one that got no response resolves to
+ * { ok: false, status: 0, error: 'timeout' | 'invalid_url' | <network error code> }.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULTS = {
+  timeout: 8000,
+  retries: 3,
+  backoff: 500, // ms before the first retry, doubling each time
+  maxBackoff: 30000,
+  maxRetryAfter: 60000, // a server asking for a longer wait gets its error back instead
+  concurrency: 4,
+  minInterval: 100,
+  hosts: {}, // hostname → { concurrency, minInterval } overrides
+  cacheDir: null,
+  recordDir: process.env.HTTP_RECORD || null,
+  replay: process.env.HTTP_REPLAY || null,
+  userAgent: 'Mozilla/5.0 (compatible; ThresholdJobSearch/1.0)'
+};
+
+const RETRY_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+// Network errors worth another attempt (undici reports some under its own codes)
+const RETRY_ERRORS = new Set(['timeout', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT']);
+
+function sleep(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+function requestKey(method, url) {
+  return crypto.createHash('sha1').update(`${method} ${url}`).digest('hex').slice(0, 16);
+}
+
+// Where a request's fixture lives; fixture-server.js looks them up the same way
+function fixturePath(dir, method, url) {
+  const u = new URL(url);
+  return path.join(dir, u.hostname, `${requestKey(method, u.href)}.json`);
+}
+
+// https://boards-api.greenhouse.io/v1/... → <replay>/https/boards-api.greenhouse.io/v1/...
+function replayUrl(base, url) {
+  const u = new URL(url);
+  return `${base.replace(/\/$/, '')}/${u.protocol.slice(0, -1)}/${u.host}${u.pathname}${u.search}`;
+}
+
+// Retry-After is either delay-seconds or an HTTP date
+function retryAfterMs(value, now = Date.now()) {
+  if (!value) return null;
+  if (/^\s*\d+\s*$/.test(value)) return Number(value) * 1000;
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+function backoffMs(retry, opts) {
+  return Math.round(Math.min(opts.maxBackoff, opts.backoff * 2 ** retry) * (0.5 + Math.random()));
+}
+
+function makeResponse(url, status, headers, text, extra = {}) {
+  return {
+    url,
+    status,
+    ok: status >= 200 && status < 300,
+    headers,
+    text,
+    json() {
+      return JSON.parse(text);
+    },
+    cached: false,
+    attempts: 1,
+    error: null,
+    ...extra
+  };
+}
+
+function readJSON(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function writeJSON(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n');
+}
+
+/**
+ * @param {object} options  overrides of DEFAULTS
+ * @returns {{ request: (url: string, init?: object) => Promise<object> }}
+ */
+function createClient(options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const hosts = new Map();
+
+  function hostState(host) {
+    if (!hosts.has(host)) {
+      const limits = { concurrency: opts.concurrency, minInterval: opts.minInterval, ...opts.hosts[host] };
+      hosts.set(host, { ...limits, active: 0, nextAt: 0, waiting: [] });
+    }
+    return hosts.get(host);
+  }
+
+  // Wait for a free slot on the host, then for its next start time
+  async function acquire(host) {
+    const h = hostState(host);
+    while (h.active >= h.concurrency) await new Promise(r => h.waiting.push(r));
+    h.active++;
+    const now = Date.now();
+    const start = Math.max(now, h.nextAt);
+    h.nextAt = start + h.minInterval;
+    if (start > now) await sleep(start - now);
+  }
+
+  function release(host) {
+    const h = hostState(host);
+    h.active--;
+    const next = h.waiting.shift();
+    if (next) next();
+  }
+
+  async function attempt(url, init) {
+    const controller = new AbortController();
+    const id = setTimeout(() => controller.abort(), opts.timeout);
+    try {
+      const resp = await fetch(url, { ...init, signal: controller.signal });
+      const text = await resp.text();
+      return makeResponse(url, resp.status, Object.fromEntries(resp.headers), text);
+    } catch (e) {
+      const error = e.name === 'AbortError' ? 'timeout' : (e.cause && e.cause.code) || e.message;
+      return makeResponse(url, 0, {}, '', { error });
+    } finally {
+      clearTimeout(id);
+    }
+  }
+
+  /**
+   * Like fetch, but the body is already read: { url, status, ok, headers, text,
+   * json(), cached, attempts, error }. `init.cache: false` skips the disk cache.
+   */
+  async function request(url, init = {}) {
+    let host;
+    try {
+      host = new URL(url).hostname;
+    } catch {
+      // A typo in firms-base.json must cost one firm, not the run
+      return makeResponse(url, 0, {}, '', { attempts: 0, error: 'invalid_url' });
+    }
+    const method = (init.method || 'GET').toUpperCase();
+    const headers = { 'User-Agent': opts.userAgent, ...init.headers };
+    const cacheFile = opts.cacheDir && method === 'GET' && init.cache !== false
+      ? path.join(opts.cacheDir, `${requestKey(method, url)}.json`)
+      : null;
+    const stored = cacheFile && readJSON(cacheFile);
+    if (stored) {
+      if (stored.etag) headers['If-None-Match'] = stored.etag;
+      if (stored.last_modified) headers['If-Modified-Since'] = stored.last_modified;
+    }
+    const target = opts.replay ? replayUrl(opts.replay, url) : url;
+
+    let resp;
+    for (let retry = 0; ; retry++) {
+      await acquire(host);
+      try {
+        resp = await attempt(target, { method, headers, body: init.body });
+      } finally {
+        release(host);
+      }
+      resp.url = url;
+      resp.attempts = retry + 1;
+      const transient = resp.error ? RETRY_ERRORS.has(resp.error) : RETRY_STATUS.has(resp.status);
+      if (!transient || retry >= opts.retries) break;
+
+      let wait = backoffMs(retry, opts);
+      const after = retryAfterMs(resp.headers['retry-after']);
+      if (after !== null) {
+        if (after > opts.maxRetryAfter) break;
+        // The server asked everyone to back off, not just this request
+        const h = hostState(host);
+        h.nextAt = Math.max(h.nextAt, Date.now() + after);
+        wait = Math.max(wait, after);
+      }
+      await sleep(wait);
+    }
+
+    if (resp.status === 304 && stored) {
+      resp = makeResponse(url, stored.status, stored.headers, stored.body, { cached: true, attempts: resp.attempts });
+    } else if (cacheFile && resp.status === 200 && (resp.headers.etag || resp.headers['last-modified'])) {
+      writeJSON(cacheFile, {
+        url,
+        status: resp.status,
+        etag: resp.headers.etag || null,
+        last_modified: resp.headers['last-modified'] || null,
+        headers: resp.headers,
+        body: resp.text,
+        stored_at: new Date().toISOString()
+      });
+    }
+    if (opts.recordDir && !resp.error) {
+      writeJSON(fixturePath(opts.recordDir, method, url), { url, method, status: resp.status, headers: resp.headers, body: resp.text });
+    }
+    return resp;
+  }
+
+  return { request };
+}
+
+// Run fn over items with at most `concurrency` in flight; pacing per host is the client's job
+async function pool(items, fn, concurrency) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+}
+
+module.exports = { createClient, pool, fixturePath, retryAfterMs };
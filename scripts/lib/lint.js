@@ -0,0 +1,91 @@
+/**
+ * Data-quality checks for firms-base.json.
+ *
+ * Errors block the pipeline: they would crash MapVoid or corrupt the output
+ * (schema violations such as an unknown discipline, duplicate IDs or names,
+ * a website that isn't an http(s) URL with a real hostname).
+ * Warnings are worth a look but don't stop a run:
+ *
+ *   coordinates   lat/lng fall outside the firm's state
+ *   near-duplicate  two firms with (almost) the same name within NEAR_DUPLICATE_MILES
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validate } = require('./schema');
+const { inState, distanceMiles } = require('./places');
+const { nameSimilarity } = require('./entities');
+
+const SCHEMA = path.resolve(__dirname, '..', '..', 'data', 'firms.schema.json');
+const NEAR_DUPLICATE_MILES = 15;
+const NEAR_DUPLICATE_SIMILARITY = 0.9;
+
+function loadSchema(file = SCHEMA) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function validWebsite(url) {
+  try {
+    const u = new URL(url);
+    return /^https?:$/.test(u.protocol) && /\.[a-z]{2,}$/i.test(u.hostname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Lint a parsed firms-base.json.
+ * @returns {{ errors: Issue[], warnings: Issue[] }} where Issue is { id, name, rule, message }
+ */
+function lintFirms(firms, schema = loadSchema()) {
+  const errors = [];
+  const warnings = [];
+  const issue = (list, f, rule, message) => list.push({ id: f && f.id, name: f && f.name, rule, message });
+
+  if (!Array.isArray(firms)) {
+    issue(errors, null, 'schema', 'firms-base.json must be an array of firms');
+    return { errors, warnings };
+  }
+
+  for (const { path: at, message } of validate(firms, schema)) {
+    const index = Number(at.split('/')[1]);
+    issue(errors, firms[index], 'schema', `${at.split('/').slice(2).join('/') || 'entry'}: ${message}`);
+  }
+
+  const byId = new Map();
+  const byName = new Map();
+  for (const f of firms) {
+    if (byId.has(f.id)) issue(errors, f, 'duplicate-id', `id ${f.id} is also used by ${byId.get(f.id).name}`);
+    else byId.set(f.id, f);
+    const name = String(f.name || '').trim().toLowerCase();
+    if (byName.has(name)) issue(errors, f, 'duplicate-name', `same name as id ${byName.get(name).id}`);
+    else byName.set(name, f);
+
+    if (typeof f.lat === 'number' && typeof f.lng === 'number' && inState(f.lat, f.lng, f.state) === false) {
+      issue(warnings, f, 'coordinates', `${f.lat}, ${f.lng} is outside ${f.state}`);
+    }
+    if (f.website && !validWebsite(f.website)) issue(errors, f, 'website', `"${f.website}" is not a valid http(s) URL`);
+  }
+
+  // Only firms close together can be duplicates, so sort by latitude and compare within a band
+  const placed = firms.filter(f => typeof f.lat === 'number' && typeof f.lng === 'number' && f.name).sort((a, b) => a.lat - b.lat);
+  const band = NEAR_DUPLICATE_MILES / 69;
+  for (let i = 0; i < placed.length; i++) {
+    for (let k = i + 1; k < placed.length && placed[k].lat - placed[i].lat <= band; k++) {
+      const a = placed[i];
+      const b = placed[k];
+      if (distanceMiles(a.lat, a.lng, b.lat, b.lng) > NEAR_DUPLICATE_MILES) continue;
+      if (nameSimilarity(a.name, b.name) >= NEAR_DUPLICATE_SIMILARITY) {
+        issue(warnings, b, 'near-duplicate', `looks like ${a.name} (id ${a.id}) in ${a.city}`);
+      }
+    }
+  }
+
+  return { errors, warnings };
+}
+
+function formatIssue(i) {
+  return `  [${i.rule}] ${i.id !== undefined ? `#${i.id} ` : ''}${i.name || ''} — ${i.message}`;
+}
+
+module.exports = { lintFirms, formatIssue };
@@ -0,0 +1,179 @@
+/**
+ * Run manifest and publication guardrails (data/run-manifest.json).
+ *
+ * Every run records what each source returned — requests, HTTP errors,
+ * timeouts, firms and jobs — and how the new data differs from the snapshot
+ * MapVoid is currently serving. Guardrails (data/guardrails.json) compare the
+ * two and block publication when a run looks like an outage rather than a
+ * real change in the job market:
+ *
+ *   max_job_drop_pct        total jobs fell by more than this
+ *   max_firm_drop_pct       firms with at least one job fell by more than this
+ *   required_sources        sources that must return at least one job
+ *   max_source_failure_pct  share of a source's requests that may time out or fail (404s don't count)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_GUARDRAILS = {
+  max_job_drop_pct: 40,
+  max_firm_drop_pct: 40,
+  required_sources: [],
+  max_source_failure_pct: 50
+};
+
+function createManifest(now = new Date()) {
+  return { run_at: now.toISOString(), published: false, sources: {}, totals: null, changes: null, guardrails: [] };
+}
+
+function sourceStats(manifest, id, label = id) {
+  if (!manifest.sources[id]) {
+    manifest.sources[id] = { label, requests: 0, ok: 0, cached: 0, retries: 0, not_found: 0, http_errors: {}, timeouts: 0, network_errors: 0, parse_errors: 0, firms: 0, jobs: 0 };
+  }
+  return manifest.sources[id];
+}
+
+/**
+ * Tally one request (a lib/http.js response, after its retries).
+ */
+function countResponse(stats, resp) {
+  stats.requests++;
+  stats.retries += resp.attempts - 1;
+  if (resp.error === 'timeout') {
+    stats.timeouts++;
+  } else if (resp.error) {
+    stats.network_errors++;
+  } else if (resp.ok) {
+    stats.ok++;
+    if (resp.cached) stats.cached++;
+  } else if (resp.status === 404) {
+    stats.not_found++;
+  } else {
+    stats.http_errors[resp.status] = (stats.http_errors[resp.status] || 0) + 1;
+  }
+}
+
+function failures(stats) {
+  return stats.timeouts + stats.network_errors + Object.values(stats.http_errors).reduce((a, b) => a + b, 0);
+}
+
+// ─── Previous snapshot ───────────────────────────────────────
+
+/**
+ * The snapshot MapVoid currently serves, read back from the shards.
+ * @returns {{ generated_at: string, firms: Map<number, { name, jobs: {id, title}[] }>, totals: object } | null}
+ */
+function loadPublished(dir) {
+  try {
+    const latest = JSON.parse(fs.readFileSync(path.join(dir, 'latest.json'), 'utf8'));
+    const index = JSON.parse(fs.readFileSync(path.join(dir, latest.index), 'utf8'));
+    const jobs = JSON.parse(fs.readFileSync(path.join(dir, index.jobs), 'utf8'));
+    const col = name => index.fields.indexOf(name);
+    const firms = new Map(index.firms.map(row => [row[col('id')], {
+      name: row[col('name')],
+      jobs: (jobs[row[col('id')]] || []).map(j => ({ id: j.id || j.title, title: j.title }))
+    }]));
+    return { generated_at: latest.generated_at, firms, totals: countTotals([...firms.values()]) };
+  } catch {
+    return null;
+  }
+}
+
+function countTotals(firms) {
+  return {
+    firms: firms.length,
+    firms_with_jobs: firms.filter(f => f.jobs.length > 0).length,
+    jobs: firms.reduce((n, f) => n + f.jobs.length, 0)
+  };
+}
+
+/**
+ * Jobs added and removed per firm since the published snapshot.
+ */
+function diffRuns(previous, firms) {
+  if (!previous) return null;
+  const changes = { since: previous.generated_at, added: 0, removed: 0, firms: [] };
+  const seen = new Set();
+  for (const f of firms) {
+    seen.add(f.id);
+    const before = previous.firms.get(f.id);
+    const beforeIds = new Set(before ? before.jobs.map(j => j.id) : []);
+    const nowIds = new Set(f.jobs.map(j => j.id || j.title));
+    const added = f.jobs.filter(j => !beforeIds.has(j.id || j.title)).map(j => j.title);
+    const removed = before ? before.jobs.filter(j => !nowIds.has(j.id)).map(j => j.title) : [];
+    if (added.length || removed.length) changes.firms.push({ id: f.id, name: f.name, added, removed });
+    changes.added += added.length;
+    changes.removed += removed.length;
+  }
+  for (const [id, before] of previous.firms) {
+    if (seen.has(id) || before.jobs.length === 0) continue;
+    changes.firms.push({ id, name: before.name, added: [], removed: before.jobs.map(j => j.title) });
+    changes.removed += before.jobs.length;
+  }
+  changes.firms.sort((a, b) => (b.added.length + b.removed.length) - (a.added.length + a.removed.length));
+  return changes;
+}
+
+// ─── Guardrails ──────────────────────────────────────────────
+
+function loadGuardrails(file) {
+  try {
+    return { ...DEFAULT_GUARDRAILS, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+  } catch {
+    return { ...DEFAULT_GUARDRAILS };
+  }
+}
+
+function dropCheck(name, before, after, maxPct) {
+  const drop = before > 0 ? Math.round((before - after) / before * 100) : 0;
+  return { name, passed: drop <= maxPct, message: `${before} → ${after} (${drop > 0 ? '−' + drop : '+' + -drop}%, limit −${maxPct}%)` };
+}
+
+/**
+ * Evaluate the guardrails against this run; fills manifest.guardrails.
+ * @returns {boolean} true when every check passed
+ */
+function checkGuardrails(manifest, previous, rules) {
+  const checks = [];
+  if (previous) {
+    checks.push(dropCheck('job count', previous.totals.jobs, manifest.totals.jobs, rules.max_job_drop_pct));
+    checks.push(dropCheck('firms with jobs', previous.totals.firms_with_jobs, manifest.totals.firms_with_jobs, rules.max_firm_drop_pct));
+  }
+  for (const id of rules.required_sources) {
+    const jobs = manifest.sources[id] ? manifest.sources[id].jobs : 0;
+    checks.push({ name: `${id} returned jobs`, passed: jobs > 0, message: `${jobs} jobs` });
+  }
+  for (const [id, stats] of Object.entries(manifest.sources)) {
+    if (stats.requests === 0) continue;
+    const pct = Math.round(failures(stats) / stats.requests * 100);
+    checks.push({ name: `${id} failures`, passed: pct <= rules.max_source_failure_pct, message: `${pct}% of ${stats.requests} requests failed (limit ${rules.max_source_failure_pct}%)` });
+  }
+  manifest.guardrails = checks;
+  return checks.every(c => c.passed);
+}
+
+// --force or PUBLISH_FORCE=1 publishes a run the guardrails blocked
+function isForced(argv = process.argv, env = process.env) {
+  return argv.includes('--force') || env.PUBLISH_FORCE === '1';
+}
+
+function writeManifest(manifest, file) {
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + '\n');
+}
+
+// What MapVoid shows about the run behind the snapshot (kept in latest.json)
+function publicSummary(manifest) {
+  const sources = {};
+  for (const [id, s] of Object.entries(manifest.sources)) sources[id] = { label: s.label, firms: s.firms, jobs: s.jobs };
+  return {
+    sources,
+    added: manifest.changes ? manifest.changes.added : null,
+    removed: manifest.changes ? manifest.changes.removed : null
+  };
+}
+
+module.exports = {
+  DEFAULT_GUARDRAILS, createManifest, sourceStats, countResponse,
+  loadPublished, countTotals, diffRuns, loadGuardrails, checkGuardrails, isForced, writeManifest, publicSummary
+};
@@ -0,0 +1,175 @@
+/**
+ * Job relevance scoring.
+ *
+ * Replaces the old keyword allow/deny lists with an additive score so every
+ * decision can be explained. Each matching rule contributes a weight and a
+ * reason; fetch-jobs.js compares the total against its thresholds and writes
+ * rejected and borderline jobs to the relevance report.
+ *
+ *   score >= accept            kept
+ *   reject <= score < accept   borderline (kept, but listed in the report)
+ *   score < reject             dropped
+ *
+ * reject defaults to 1, so a job needs at least one design signal: a title
+ * nothing recognizes is dropped (and listed) rather than kept by default.
+ */
+
+const fs = require('fs');
+
+const DEFAULT_THRESHOLDS = { accept: 3, reject: 1 };
+
+// [pattern, weight, label] — title rules are the strongest signal
+const TITLE_RULES = [
+  [/landscape architect/, 5, 'landscape architect'],
+  [/\barchitect/, 4, 'architect'],
+  [/urban design|urban planner/, 4, 'urban design'],
+  [/job captain|project captain/, 4, 'job captain'],
+  [/landscape design/, 3, 'landscape design'],
+  [/interior design/, 3, 'interior design'],
+  [/\bplanner\b|\bplanning\b|\bzoning\b|land use|entitle/, 3, 'planning'],
+  [/\bbim\b|revit|\bvdc\b|computational design/, 3, 'BIM/tech'],
+  [/visuali[sz]|render|\bcgi\b/, 2, 'visualization'],
+  [/draft|\bcad\b|autocad/, 2, 'drafting'],
+  [/specification|construction admin|code consult/, 2, 'technical'],
+  [/preservation|historic/, 2, 'preservation'],
+  [/designer\b/, 2, 'designer'],
+  [/\bdesign\b|\bstudio\b/, 1, 'design'],
+  [/\bintern/, 1, 'intern'],
+  [/project manager|sustainab|\bleed\b|\bgis\b|ecolog|environmental/, 1, 'adjacent discipline'],
+  [/salesperson|sales rep|\bsales\b|account executive|business develop/, -5, 'sales'],
+  [/landscaper|lawn|mowing|maintenance|foreman|crew (lead|member)|installer|laborer|irrigation tech/, -5, 'grounds crew'],
+  [/marketing|communications (manager|director|coordinator|specialist)|public relations|social media/, -5, 'marketing'],
+  [/(electrical|mechanical|civil|structural|plumbing|fire protection|geotechnical|chemical|process) engineer|\bmep engineer/, -5, 'non-design engineering'],
+  [/accountant|accounting|accounts (payable|receivable)|payroll|bookkeep|financ|controller|billing|\bcfo\b/, -6, 'finance'],
+  [/human resource|recruiter|talent acquisition|receptionist|office (manager|coordinator|administrator|assistant)|administrative|executive assistant|front desk/, -6, 'HR/admin'],
+  [/software engineer|developer|devops|\bit (support|manager|director|specialist|technician|administrator)|information technology|help ?desk|systems? admin|network admin|data (scientist|analyst|engineer)|product designer|\bux\b|\bui\b/, -6, 'software/IT'],
+  [/janitor|custodian|security guard|driver|warehouse/, -6, 'facilities'],
+  [/nurse|physician|pharmacist|dental|therapist/, -6, 'healthcare'],
+  [/\bcook\b|\bchef\b|bartender|\bserver\b|cashier/, -6, 'hospitality'],
+  [/attorney|paralegal|compliance officer/, -6, 'legal'],
+  [/agente|vendedor|analista/, -6, 'non-English listing']
+];
+
+const DEPARTMENT_RULES = [
+  [/architect|design|landscape|planning|urban|interiors|studio|technical|bim/, 2, 'design department'],
+  [/finance|accounting|human resources|\bhr\b|people|marketing|sales|business development|\bit\b|information technology|legal|operations/, -3, 'non-design department']
+];
+
+// Description terms are weak on their own, so each side is capped
+const DESCRIPTION_POSITIVE = /\b(revit|autocad|rhino|sketchup|ncarb|licensed architect|architectural license|design development|construction documents|schematic design|landscape architecture|asla|clarb|lare|aicp|planting plans?)\b/g;
+const DESCRIPTION_NEGATIVE = /\b(commission|quota|cold call(ing)?|lawn care|mowing|hardscape install|sales targets?|door[\s-]to[\s-]door|cdl)\b/g;
+const DESCRIPTION_CAP = 3;
+
+const EMPLOYER_RULES = [
+  [/landscaping|lawn|nursery|outdoors|tree service|pools?\b/, -2, 'landscaping contractor'],
+  [/staffing|talent|recruit|gpac/, -1, 'staffing agency'],
+  [/architect|design|planning|studio/, 1, 'design firm']
+];
+
+function applyRules(text, rules, source, reasons) {
+  let score = 0;
+  for (const [re, weight, label] of rules) {
+    if (re.test(text)) {
+      score += weight;
+      reasons.push(`${weight > 0 ? '+' : ''}${weight} ${source}: ${label}`);
+    }
+  }
+  return score;
+}
+
+function descriptionScore(text, reasons) {
+  const positive = new Set(text.match(DESCRIPTION_POSITIVE) || []);
+  const negative = new Set(text.match(DESCRIPTION_NEGATIVE) || []);
+  const plus = Math.min(positive.size, DESCRIPTION_CAP);
+  const minus = Math.min(negative.size, DESCRIPTION_CAP);
+  if (plus) reasons.push(`+${plus} description: ${[...positive].slice(0, DESCRIPTION_CAP).join(', ')}`);
+  if (minus) reasons.push(`-${minus} description: ${[...negative].slice(0, DESCRIPTION_CAP).join(', ')}`);
+  return plus - minus;
+}
+
+/**
+ * Score a job for relevance to architecture / landscape / urban design.
+ * @param {{ title: string }} job
+ * @param {{ department?, description?, employer? }} [signals]
+ * @returns {{ score: number, reasons: string[] }}
+ */
+function scoreRelevance(job, signals = {}) {
+  const reasons = [];
+  let score = applyRules((job.title || '').toLowerCase(), TITLE_RULES, 'title', reasons);
+  if (signals.department) score += applyRules(signals.department.toLowerCase(), DEPARTMENT_RULES, 'department', reasons);
+  if (signals.description) score += descriptionScore(signals.description.toLowerCase(), reasons);
+  if (signals.employer) score += applyRules(signals.employer.toLowerCase(), EMPLOYER_RULES, 'employer', reasons);
+  return { score, reasons };
+}
+
+function relevanceDecision(score, thresholds = DEFAULT_THRESHOLDS) {
+  if (score >= thresholds.accept) return 'accept';
+  if (score >= thresholds.reject) return 'borderline';
+  return 'reject';
+}
+
+// ─── Run report ──────────────────────────────────────────────
+
+function createReport(thresholds = DEFAULT_THRESHOLDS, now = new Date()) {
+  return { generated_at: now.toISOString(), thresholds, counts: { accept: 0, borderline: 0, reject: 0 }, boards: [], borderline: [], rejected: [] };
+}
+
+/**
+ * Split a batch of classified jobs into kept and dropped, recording every
+ * borderline and rejected job in the report. `context` names the source
+ * ({ source, firm }) so report entries can be traced back.
+ */
+function screenJobs(jobs, context, report, thresholds = DEFAULT_THRESHOLDS) {
+  const kept = [];
+  for (const job of jobs) {
+    const { score, reasons } = job.relevance || scoreRelevance(job);
+    const decision = relevanceDecision(score, thresholds);
+    report.counts[decision]++;
+    if (decision !== 'reject') kept.push(job);
+    if (decision === 'accept') continue;
+    const entry = { ...context, title: job.title, url: job.url, score, reasons };
+    (decision === 'reject' ? report.rejected : report.borderline).push(entry);
+  }
+  return kept;
+}
+
+// A whole board rejected or trimmed (usually a slug that matched a non-design company)
+function noteBoard(report, context, reason, stats) {
+  report.boards.push({ ...context, reason, ...stats });
+}
+
+function formatEntry(e) {
+  return `- **${e.title}** — ${e.firm} (${e.source}), score ${e.score}
+  ${e.reasons.join('; ') || 'no matching rules'}`;
+}
+
+function renderReport(report) {
+  const lines = [
+    `# Relevance report — ${report.generated_at.slice(0, 10)}`,
+    '',
+    `Thresholds: accept ≥ ${report.thresholds.accept}, reject < ${report.thresholds.reject}`,
+    `Accepted ${report.counts.accept}, borderline ${report.counts.borderline}, rejected ${report.counts.reject}`,
+    ''
+  ];
+  if (report.boards.length) {
+    lines.push('## Boards', '');
+    for (const b of report.boards) lines.push(`- **${b.firm}** (${b.source}): ${b.reason} — ${b.total} jobs, ${b.relevant} relevant`);
+    lines.push('');
+  }
+  lines.push(`## Borderline (${report.borderline.length})`, '', ...report.borderline.map(formatEntry), '');
+  lines.push(`## Rejected (${report.rejected.length})`, '', ...report.rejected.map(formatEntry), '');
+  return lines.join('\n');
+}
+
+function writeReport(report, jsonPath, mdPath) {
+  const byScore = (a, b) => b.score - a.score;
+  report.borderline.sort(byScore);
+  report.rejected.sort(byScore);
+  fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2) + '\n');
+  fs.writeFileSync(mdPath, renderReport(report));
+}
+
+module.exports = {
+  DEFAULT_THRESHOLDS, scoreRelevance, relevanceDecision,
+  createReport, screenJobs, noteBoard, writeReport
+};
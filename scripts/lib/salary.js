@@ -0,0 +1,130 @@
+/**
+ * Salary parsing and normalization.
+ *
+ * Produces { salary_min, salary_max, currency, period } from structured ATS or
+ * JSearch fields, or from free text such as "$62K–$88K", "$25.00 - $32.00 per hour"
+ * or the pay-transparency ranges that CO, NY, CA and WA postings must include.
+ * Amounts are kept in the posting's own period; ANNUAL_FACTORS converts them.
+ */
+
+const PERIODS = ['year', 'month', 'week', 'day', 'hour'];
+const ANNUAL_FACTORS = { year: 1, month: 12, week: 52, day: 260, hour: 2080 };
+
+// Plausible bounds per period (USD-ish) — anything outside is a parsing accident
+const BOUNDS = {
+  year: [15000, 1000000],
+  month: [1200, 85000],
+  week: [300, 20000],
+  day: [60, 4000],
+  hour: [7, 500]
+};
+
+const CURRENCY_SYMBOLS = { '$': 'USD', '£': 'GBP', '€': 'EUR' };
+
+function normalizePeriod(value) {
+  // Accepts "hour", "HOUR", "per-year-salary" (Lever), "1 YEAR" (Ashby), "hr", ...
+  const p = String(value || '').toLowerCase().replace(/^(per[-\s]|\d+\s*)/, '');
+  if (/^(hour|hr|hourly|h)/.test(p)) return 'hour';
+  if (/^(day|daily)/.test(p)) return 'day';
+  if (/^(week|wk|weekly)/.test(p)) return 'week';
+  if (/^(month|mo|monthly)/.test(p)) return 'month';
+  if (/^(year|yr|annual|annum|salary)/.test(p)) return 'year';
+  return null;
+}
+
+function parseAmount(str) {
+  const m = String(str).replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*([kK])?/);
+  if (!m) return null;
+  return parseFloat(m[1]) * (m[2] ? 1000 : 1);
+}
+
+// Guess a period from the size of the number when the text doesn't say
+function guessPeriod(amount) {
+  if (amount >= 15000) return 'year';
+  if (amount <= 300) return 'hour';
+  return null;
+}
+
+function inBounds(amount, period) {
+  const [lo, hi] = BOUNDS[period];
+  return amount >= lo && amount <= hi;
+}
+
+/**
+ * Build a salary object from explicit values. Returns null when the values
+ * are missing or implausible.
+ */
+function makeSalary(min, max, currency, period) {
+  min = Number(min) || null;
+  max = Number(max) || null;
+  if (!min && !max) return null;
+  if (!min) min = max;
+  if (!max) max = min;
+  if (min > max) [min, max] = [max, min];
+  period = normalizePeriod(period) || guessPeriod(max);
+  if (!period || !inBounds(min, period) || !inBounds(max, period)) return null;
+  return {
+    salary_min: Math.round(min * 100) / 100,
+    salary_max: Math.round(max * 100) / 100,
+    currency: (currency || 'USD').toUpperCase(),
+    period
+  };
+}
+
+const RANGE_RE = /([$£€]|USD\s?)\s?(\d[\d,]*(?:\.\d+)?\s?[kK]?)(?:\s*(?:-|–|—|to)\s*(?:[$£€]|USD\s?)?\s?(\d[\d,]*(?:\.\d+)?\s?[kK]?))?(?:\s*(?:USD|CAD))?(?:\s*(?:\/|per|an|a)\s*(hour|hr|year|yr|annum|month|week|day))?/gi;
+const PAY_CONTEXT_RE = /(salary|pay|compensation|hiring|wage|base|range|annual|hourly)/i;
+
+/**
+ * Find the most likely salary range in free text. Ranges that sit next to
+ * pay-transparency wording ("salary range", "pay range", "compensation") win
+ * over stray dollar amounts such as project budgets.
+ */
+function parseSalaryText(text) {
+  if (!text) return null;
+  const str = String(text);
+  let best = null;
+  let m;
+  RANGE_RE.lastIndex = 0;
+  while ((m = RANGE_RE.exec(str)) !== null) {
+    const symbol = m[1].trim().toUpperCase();
+    const currency = CURRENCY_SYMBOLS[symbol] || 'USD';
+    const min = parseAmount(m[2]);
+    const max = m[3] ? parseAmount(m[3]) : null;
+    const context = str.slice(Math.max(0, m.index - 80), m.index);
+    const salary = makeSalary(min, max, currency, m[4] || periodFromContext(str.slice(m.index, m.index + m[0].length + 40)));
+    if (!salary) continue;
+    const score = (m[3] ? 2 : 0) + (m[4] ? 1 : 0) + (PAY_CONTEXT_RE.test(context) ? 3 : 0);
+    if (!best || score > best.score) best = { score, salary };
+  }
+  return best ? best.salary : null;
+}
+
+function periodFromContext(text) {
+  const m = text.match(/\b(per hour|hourly|an hour|per year|annually|per annum|a year|per month|monthly)\b/i);
+  return m ? normalizePeriod(m[1].replace(/^(per|an|a)\s+/i, '')) : null;
+}
+
+function formatAmount(n, period) {
+  if (period === 'hour') return '$' + (Number.isInteger(n) ? n : n.toFixed(2));
+  return n >= 1000 ? '$' + Math.round(n / 1000) + 'K' : '$' + Math.round(n);
+}
+
+// Display string kept in the job's `salary` field
+function formatSalary(s) {
+  if (!s) return 'See listing';
+  const range = s.salary_min === s.salary_max
+    ? formatAmount(s.salary_min, s.period)
+    : formatAmount(s.salary_min, s.period) + '–' + formatAmount(s.salary_max, s.period);
+  const suffix = s.period === 'year' ? '' : '/' + (s.period === 'hour' ? 'hr' : s.period === 'month' ? 'mo' : s.period);
+  return (s.currency && s.currency !== 'USD' ? s.currency + ' ' : '') + range + suffix;
+}
+
+// Merge a salary object into a job and refresh its display string
+function applySalary(job, salary) {
+  if (!salary) return job;
+  Object.assign(job, salary);
+  job.salary = formatSalary(salary);
+  return job;
+}
+
+module.exports = { PERIODS, ANNUAL_FACTORS, makeSalary, parseSalaryText, formatSalary, applySalary };
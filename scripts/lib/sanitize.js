@@ -0,0 +1,126 @@
+/**
+ * Job description sanitizing.
+ *
+ * ATS descriptions arrive as arbitrary HTML (Greenhouse even entity-encodes it)
+ * or plain text. Both are reduced to a small allowlist of formatting tags so
+ * MapVoid can insert the result with innerHTML.
+ */
+
+// Tags kept as-is; headings collapse to <h4> so they fit the detail panel
+const ALLOWED = new Set(['p', 'br', 'ul', 'ol', 'li', 'strong', 'b', 'em', 'i', 'u', 'a', 'h4', 'blockquote']);
+const HEADINGS = /^h[1-6]$/;
+// Dropped together with everything inside them
+const DROP_WITH_CONTENT = /<(script|style|iframe|object|embed|noscript|template|svg|math|form)\b[\s\S]*?<\/\1\s*>/gi;
+
+const MAX_LENGTH = 20000;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', '#39': "'" };
+
+function decodeEntities(text) {
+  return String(text || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+\d*);/gi, (m, e) => {
+    if (e[0] === '#') {
+      const code = e[1].toLowerCase() === 'x' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return code > 0 && code < 0x110000 ? String.fromCodePoint(code) : '';
+    }
+    return ENTITIES[e.toLowerCase()] !== undefined ? ENTITIES[e.toLowerCase()] : m;
+  });
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function safeHref(raw) {
+  const href = decodeEntities(raw).trim();
+  return /^(https?:|mailto:)/i.test(href) ? href : null;
+}
+
+/**
+ * Reduce HTML to the allowlist: unknown tags are unwrapped, every attribute
+ * except a checked <a href> is dropped, and text is re-escaped.
+ */
+function sanitizeHtml(html) {
+  if (!html) return '';
+  const source = String(html).replace(/<!--[\s\S]*?-->/g, '').replace(DROP_WITH_CONTENT, '');
+  const out = [];
+  const open = [];
+  const tagRe = /<\/?([a-z][a-z0-9]*)\b([^>]*)>/gi;
+  let last = 0;
+  let m;
+  while ((m = tagRe.exec(source))) {
+    out.push(escapeHtml(decodeEntities(source.slice(last, m.index))));
+    last = tagRe.lastIndex;
+    let tag = m[1].toLowerCase();
+    if (HEADINGS.test(tag)) tag = 'h4';
+    if (!ALLOWED.has(tag)) continue;
+    const closing = m[0][1] === '/';
+    if (tag === 'br') {
+      out.push('<br>');
+    } else if (closing) {
+      // Only close what we opened, so stray end tags can't unbalance the panel
+      const i = open.lastIndexOf(tag);
+      if (i === -1) continue;
+      while (open.length > i) out.push(`</${open.pop()}>`);
+    } else if (tag === 'a') {
+      const hrefMatch = m[2].match(/href\s*=\s*("([^"]*)"|'([^']*)'|([^\s>]+))/i);
+      const href = hrefMatch && safeHref(hrefMatch[2] || hrefMatch[3] || hrefMatch[4] || '');
+      open.push('a');
+      out.push(href ? `<a href="${escapeHtml(href)}" target="_blank" rel="noopener nofollow">` : '<a>');
+    } else {
+      open.push(tag);
+      out.push(`<${tag}>`);
+    }
+  }
+  out.push(escapeHtml(decodeEntities(source.slice(last))));
+  while (open.length) out.push(`</${open.pop()}>`);
+  return tidy(out.join(''));
+}
+
+// Drop empty blocks and runs of <br> left behind by ATS editors
+function tidy(html) {
+  const cleaned = html
+    .replace(/<(p|li|h4|strong|b|em|i|u)>(\s|&nbsp;|<br>)*<\/\1>/g, '')
+    .replace(/(<br>\s*){3,}/g, '<br><br>')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return cleaned.length > MAX_LENGTH ? truncate(cleaned) : cleaned;
+}
+
+// Cut at a block boundary and re-sanitize so the shortened markup stays balanced
+function truncate(html) {
+  const cut = html.lastIndexOf('</p>', MAX_LENGTH);
+  return sanitizeHtml(html.slice(0, cut > 0 ? cut + 4 : MAX_LENGTH)) + '<p>…</p>';
+}
+
+/**
+ * Plain text (Lever descriptionPlain, JSearch job_description) to the same
+ * HTML subset: blank lines separate paragraphs, bulleted lines become lists.
+ */
+function textToHtml(text) {
+  if (!text) return '';
+  const blocks = String(text).replace(/\r\n?/g, '\n').split(/\n\s*\n/);
+  const html = blocks.map(block => {
+    const lines = block.split('\n').map(l => l.trim()).filter(Boolean);
+    if (lines.length === 0) return '';
+    const bullets = lines.filter(l => /^[•·\-*–]\s+/.test(l));
+    if (bullets.length && bullets.length >= lines.length - 1) {
+      const head = lines.length > bullets.length ? `<p>${escapeHtml(lines[0])}</p>` : '';
+      return head + '<ul>' + bullets.map(l => `<li>${escapeHtml(l.replace(/^[•·\-*–]\s+/, ''))}</li>`).join('') + '</ul>';
+    }
+    return `<p>${lines.map(escapeHtml).join('<br>')}</p>`;
+  }).join('');
+  return tidy(html);
+}
+
+// Plain text for the classifiers, which only need words
+function htmlToText(html) {
+  return decodeEntities(String(html || '').replace(DROP_WITH_CONTENT, '').replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+// One line of text for a title. Decoding can turn "&lt;img ...&gt;" into markup,
+// so tags are stripped again afterwards and stray angle brackets dropped.
+function plainText(html) {
+  return htmlToText(htmlToText(html)).replace(/[<>]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+module.exports = { sanitizeHtml, textToHtml, htmlToText, plainText, decodeEntities, escapeHtml };
@@ -0,0 +1,82 @@
+/**
+ * A small JSON Schema (draft-07) validator.
+ *
+ * The pipeline has no dependencies, so this covers only the keywords
+ * data/firms.schema.json uses: type, enum, const, required, properties,
+ * patternProperties, additionalProperties, items, anyOf, minimum, maximum,
+ * minLength, pattern and local $ref ("#/definitions/...").
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolve(root, ref) {
+  return ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], root);
+}
+
+/**
+ * Validate `value` against `schema`.
+ * @returns {{ path: string, message: string }[]} one entry per violation; empty when valid
+ */
+function validate(value, schema, root = schema, at = '') {
+  if (schema.$ref) return validate(value, resolve(root, schema.$ref), root, at);
+  const errors = [];
+  const fail = message => errors.push({ path: at || '/', message });
+
+  if (schema.anyOf) {
+    if (!schema.anyOf.some(s => validate(value, s, root, at).length === 0)) {
+      fail(`${JSON.stringify(value)} does not match any allowed form`);
+    }
+    return errors;
+  }
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(t => matchesType(value, t))) {
+      fail(`expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) fail(`${JSON.stringify(value)} is not one of ${schema.enum.filter(v => v !== null).join(', ')}`);
+  if ('const' in schema && value !== schema.const) fail(`expected ${JSON.stringify(schema.const)}`);
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`${value} is below ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`${value} is above ${schema.maximum}`);
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail(value ? 'too short' : 'must not be empty');
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`${JSON.stringify(value)} does not match ${schema.pattern}`);
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validate(item, schema.items, root, `${at}/${i}`)));
+  }
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) fail(`missing required field "${key}"`);
+    }
+    const props = schema.properties || {};
+    const patterns = Object.entries(schema.patternProperties || {}).map(([p, s]) => [new RegExp(p), s]);
+    for (const [key, child] of Object.entries(value)) {
+      const childAt = `${at}/${key}`;
+      const matched = patterns.filter(([re]) => re.test(key));
+      if (props[key]) errors.push(...validate(child, props[key], root, childAt));
+      for (const [, s] of matched) errors.push(...validate(child, s, root, childAt));
+      if (!props[key] && matched.length === 0) {
+        if (schema.additionalProperties === false) fail(`unknown field "${key}"`);
+        else if (typeof schema.additionalProperties === 'object') errors.push(...validate(child, schema.additionalProperties, root, childAt));
+      }
+    }
+  }
+  return errors;
+}
+
+module.exports = { validate };
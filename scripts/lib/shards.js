@@ -0,0 +1,113 @@
+/**
+ * Sharded MapVoid data.
+ *
+ * mapvoid/data/
+ *   latest.json               tiny pointer, the only file fetched without caching
+ *   index.<hash>.json         what the first paint and search need: firm, location, size,
+ *                             job count and the words of the firm's blurb
+ *   jobs.<hash>.json          job summaries by firm ID, for job filters, search and details
+ *   details-<ST>.<hash>.json  about, website and job URLs for one state's firms
+ *   desc-<id>.<hash>.json     sanitized job descriptions for one firm
+ *
+ * Everything but latest.json is content-hashed, so browsers can cache those
+ * files indefinitely and a run only changes the shards whose data changed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { aboutTerms } = require('../../mapvoid/filters');
+
+const INDEX_VERSION = 2;
+// Columns of each index row; MapVoid expands rows back into objects
+const INDEX_FIELDS = ['id', 'name', 'city', 'state', 'lat', 'lng', 'size', 'discipline', 'specialties', 'about_terms', 'job_count'];
+
+// Values the index computes rather than copies from the firm
+const DERIVED = {
+  about_terms: f => aboutTerms(f.about),
+  job_count: f => f.jobs.length
+};
+
+function contentHash(text) {
+  return crypto.createHash('sha1').update(text).digest('hex').slice(0, 10);
+}
+
+function shardKey(state) {
+  return /^[A-Z]{2}$/.test(state || '') ? state : 'other';
+}
+
+// Job summary in the jobs shard: everything but the URL and the description.
+// Detail shards key those by job ID, so a job without one keeps its URL here.
+function jobSummary({ url, description, ...job }) {
+  if (!job.id) return url ? { ...job, url } : job;
+  return description ? { ...job, has_description: true } : job;
+}
+
+/**
+ * Write the index, jobs, detail and description shards for `firms` (pipeline
+ * output objects) into `dir`, removing files from earlier runs.
+ * `run` is the manifest summary MapVoid shows next to the snapshot date.
+ * @returns {{ index: string, files: number }}
+ */
+function writeShards(firms, dir, now = new Date(), run = null) {
+  fs.mkdirSync(dir, { recursive: true });
+  const written = new Set();
+
+  function put(prefix, data) {
+    const text = JSON.stringify(data);
+    const name = `${prefix}.${contentHash(text)}.json`;
+    fs.writeFileSync(path.join(dir, name), text);
+    written.add(name);
+    return name;
+  }
+
+  const details = {};
+  for (const f of firms) {
+    const descriptions = {};
+    for (const j of f.jobs) {
+      if (j.id && j.description) descriptions[j.id] = j.description;
+    }
+    const key = shardKey(f.state);
+    details[key] = details[key] || {};
+    details[key][f.id] = {
+      about: f.about || '',
+      website: f.website || '',
+      urls: Object.fromEntries(f.jobs.filter(j => j.id && j.url).map(j => [j.id, j.url])),
+      descriptions: Object.keys(descriptions).length ? put(`desc-${f.id}`, descriptions) : null
+    };
+  }
+
+  const detailFiles = {};
+  for (const key of Object.keys(details).sort()) {
+    detailFiles[key] = put(`details-${key}`, details[key]);
+  }
+
+  const jobs = {};
+  for (const f of firms) {
+    if (f.jobs.length) jobs[f.id] = f.jobs.map(jobSummary);
+  }
+
+  const index = put('index', {
+    version: INDEX_VERSION,
+    fields: INDEX_FIELDS,
+    firms: firms.map(f => INDEX_FIELDS.map(field => DERIVED[field] ? DERIVED[field](f) : f[field])),
+    jobs: put('jobs', jobs),
+    details: detailFiles
+  });
+
+  fs.writeFileSync(path.join(dir, 'latest.json'), JSON.stringify({
+    index,
+    generated_at: now.toISOString(),
+    firms: firms.length,
+    jobs: firms.reduce((n, f) => n + f.jobs.length, 0),
+    run
+  }, null, 2) + '\n');
+  written.add('latest.json');
+
+  for (const file of fs.readdirSync(dir)) {
+    if (file.endsWith('.json') && !written.has(file)) fs.unlinkSync(path.join(dir, file));
+  }
+  return { index, files: written.size };
+}
+
+module.exports = { INDEX_FIELDS, writeShards };
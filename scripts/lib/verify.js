@@ -0,0 +1,85 @@
+/**
+ * ATS board verification for probe-ats.js.
+ *
+ * A board answering for a guessed slug only proves that *some* company uses
+ * that slug. Each match is scored on independent evidence:
+ *
+ *   careers link   the firm's own website links to this board        +0.6
+ *   company name   the board names a company like the firm          +0.3 (−0.5 if clearly different)
+ *   offices        a posting is in the firm's city (+0.2) or state   +0.1 (−0.2 if none are)
+ *   slug           the slug itself resembles the firm's name         +0.1
+ *
+ * Matches reaching VERIFIED_CONFIDENCE are written to firms-base.json; the
+ * rest are kept as guesses for a person to check.
+ */
+
+const { STATE_CODES } = require('./places');
+const { nameSimilarity } = require('./entities');
+
+const VERIFIED_CONFIDENCE = 0.5;
+const STATE_NAMES = Object.fromEntries(Object.entries(STATE_CODES).map(([name, code]) => [code, name]));
+
+/**
+ * Board slugs linked from careers-page HTML, per adapter.
+ * @returns {Object<string, string[]>} adapter id → slugs, lowercased
+ */
+function findBoardLinks(html, adapters) {
+  const found = {};
+  for (const adapter of adapters) {
+    if (!adapter.careersLink) continue;
+    const slugs = new Set([...String(html || '').matchAll(adapter.careersLink)].map(m => m[1].toLowerCase()));
+    if (slugs.size) found[adapter.id] = [...slugs];
+  }
+  return found;
+}
+
+function locationEvidence(firm, locations) {
+  if (locations.length === 0) return null;
+  const text = locations.join(' | ').toLowerCase();
+  const city = (firm.city || '').toLowerCase();
+  if (city && text.includes(city)) return { weight: 0.2, note: `office in ${firm.city}` };
+  const state = STATE_NAMES[firm.state];
+  if (state && (text.includes(state) || new RegExp(`\\b${firm.state.toLowerCase()}\\b`).test(text))) {
+    return { weight: 0.1, note: `office in ${firm.state}` };
+  }
+  // Remote-only boards say nothing about where the firm is
+  if (/^(remote|anywhere)/.test(text)) return null;
+  return state ? { weight: -0.2, note: `no postings in ${firm.city}, ${firm.state}` } : null;
+}
+
+/**
+ * Score a board that answered for `slug`.
+ * @param {boolean} linked  the firm's careers page links to this board
+ * @returns {{ confidence: number, evidence: string[] }}
+ */
+function verifyBoard(firm, adapter, data, slug, linked) {
+  const evidence = [];
+  let score = 0;
+  if (linked) {
+    score += 0.6;
+    evidence.push('linked from website');
+  }
+  const info = adapter.boardInfo ? adapter.boardInfo(data) : { company: null, locations: [] };
+  if (info.company) {
+    const similarity = nameSimilarity(info.company, firm.name);
+    if (similarity >= 0.8) {
+      score += 0.3;
+      evidence.push(`company "${info.company}"`);
+    } else if (similarity < 0.5) {
+      score -= 0.5;
+      evidence.push(`different company "${info.company}"`);
+    }
+  }
+  const place = locationEvidence(firm, info.locations);
+  if (place) {
+    score += place.weight;
+    evidence.push(place.note);
+  }
+  if (nameSimilarity(slug, firm.name) >= 0.8) {
+    score += 0.1;
+    evidence.push('slug matches name');
+  }
+  return { confidence: Number(Math.min(1, Math.max(0, score)).toFixed(2)), evidence };
+}
+
+module.exports = { VERIFIED_CONFIDENCE, findBoardLinks, verifyBoard };
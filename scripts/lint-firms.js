@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+/**
+ * Check data/firms-base.json against data/firms.schema.json and for common
+ * curation mistakes (see lib/lint.js). fetch-jobs.js runs the same checks
+ * and refuses to write MapVoid data while there are errors.
+ *
+ * Usage:
+ *   node lint-firms.js            list errors and warnings; exit 1 on errors
+ *   node lint-firms.js --strict   exit 1 on warnings too
+ *   node lint-firms.js --json     machine-readable output
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { lintFirms, formatIssue } = require('./lib/lint');
+
+const FIRMS_BASE = path.join(__dirname, '..', 'data', 'firms-base.json');
+
+function main() {
+  const flags = new Set(process.argv.slice(2));
+  let firms;
+  try {
+    firms = JSON.parse(fs.readFileSync(FIRMS_BASE, 'utf8'));
+  } catch (e) {
+    console.error(`✗ Could not read firms-base.json: ${e.message}`);
+    process.exit(1);
+  }
+
+  const { errors, warnings } = lintFirms(firms);
+  if (flags.has('--json')) {
+    console.log(JSON.stringify({ errors, warnings }, null, 2));
+  } else {
+    if (errors.length) console.log(`Errors (${errors.length}):\n${errors.map(formatIssue).join('\n')}\n`);
+    if (warnings.length) console.log(`Warnings (${warnings.length}):\n${warnings.map(formatIssue).join('\n')}\n`);
+    console.log(`${firms.length} firms checked: ${errors.length} errors, ${warnings.length} warnings`);
+  }
+  if (errors.length || (flags.has('--strict') && warnings.length)) process.exit(1);
+}
+
+main();
@@ -1,13 +1,40 @@
 #!/usr/bin/env node
+/**
+ * Find and verify each firm's ATS job boards.
+ *
+ * Slug candidates come from board links on the firm's own careers pages, the
+ * slug already on file and variations of the firm name. Every board that
+ * answers is scored by lib/verify.js; only verified slugs are written to
+ * firms-base.json (with confidence and verified_at under `ats_probe`), the
+ * best unverified match per board goes to data/ats-guesses.json for review.
+ *
+ * Usage:
+ *   node probe-ats.js                   firms never probed or probed over STALE_DAYS ago
+ *   node probe-ats.js --stale-days 30   ...or over 30 days ago
+ *   node probe-ats.js --limit 100       at most 100 firms this run
+ *   node probe-ats.js --firm 42         one firm, regardless of age
+ *   node probe-ats.js --all             every firm
+ *
+ * HTTP_RECORD and HTTP_REPLAY work as in fetch-jobs.js (see lib/http.js).
+ */
 
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
-const http = require('http');
+const { ADAPTERS } = require('./ats');
+const { VERIFIED_CONFIDENCE, findBoardLinks, verifyBoard } = require('./lib/verify');
+const { createClient, pool } = require('./lib/http');
+const { careersLinks } = require('./lib/careers');
 
 const DATA_FILE = path.join(__dirname, '../data/firms-base.json');
+const GUESSES_FILE = path.join(__dirname, '../data/ats-guesses.json');
+const HTTP_CACHE = path.join(__dirname, '../.cache/http');
 const CONCURRENCY = 5;
-const BATCH_DELAY = 200; // ms between batches
+const STALE_DAYS = 90;
+const PAGE_TIMEOUT = 8000;
+const MAX_CAREERS_PAGES = 3;
+
+// Retries, per-host rate limits and the ETag cache, as in fetch-jobs.js
+const http = createClient({ timeout: PAGE_TIMEOUT, cacheDir: HTTP_CACHE });
 
 // Slug generation function
 function generateSlugCandidates(firm) {
@@ -93,167 +120,160 @@ function generateSlugCandidates(firm) {
     });
 }
 
-// HTTP request wrapper with timeout
-function makeRequest(url, timeout = 5000) {
-  return new Promise((resolve) => {
-    const protocol = url.startsWith('https') ? https : http;
-    const req = protocol.get(url, { timeout }, (res) => {
-      let data = '';
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      res.on('end', () => {
-        try {
-          const parsed = JSON.parse(data);
-          resolve({
-            status: res.statusCode,
-            data: parsed,
-            error: null
-          });
-        } catch (e) {
-          resolve({
-            status: res.statusCode,
-            data: null,
-            error: 'Invalid JSON'
-          });
-        }
-      });
-    });
-
-    req.on('error', (error) => {
-      resolve({
-        status: null,
-        data: null,
-        error: error.message
-      });
-    });
-
-    req.on('timeout', () => {
-      req.destroy();
-      resolve({
-        status: null,
-        data: null,
-        error: 'Timeout'
-      });
-    });
-  });
+// Fetch a page of the firm's website as text
+async function fetchPage(url) {
+  const resp = await http.request(url);
+  return resp.ok ? resp.text : null;
 }
 
-// Probe Greenhouse API
-async function probeGreenhouse(slug) {
-  const url = `https://boards-api.greenhouse.io/v1/boards/${slug}/jobs`;
-  const result = await makeRequest(url);
-
-  if (result.status === 200 && result.data && Array.isArray(result.data.jobs)) {
-    return { found: true, slug };
+// A board's JSON, or null when the slug has no board
+async function fetchBoard(adapter, slug) {
+  const resp = await http.request(adapter.boardUrl(slug));
+  if (!resp.ok) return null;
+  try {
+    const data = resp.json();
+    return adapter.isBoard(data) ? data : null;
+  } catch (e) {
+    return null;
   }
-  return { found: false };
 }
 
-// Probe Lever API
-async function probeLever(slug) {
-  const url = `https://api.lever.co/v0/postings/${slug}?mode=json`;
-  const result = await makeRequest(url);
-
-  if (result.status === 200 && Array.isArray(result.data)) {
-    return { found: true, slug };
+// Board links on the homepage and the first few careers-looking pages it links to.
+// Returns null when the website couldn't be reached at all.
+async function scanWebsite(website) {
+  if (!website) return null;
+  const home = await fetchPage(website);
+  if (home === null) return null;
+  const pages = [home];
+  const careers = careersLinks(home, website);
+  for (const url of careers.slice(0, MAX_CAREERS_PAGES)) {
+    const page = await fetchPage(url);
+    if (page) pages.push(page);
   }
-  return { found: false };
+  return findBoardLinks(pages.join('\n') + '\n' + careers.join('\n'), ADAPTERS);
 }
 
-// Process firm with concurrency control
+// Probe one firm on every ATS: linked slugs first, then the current slug, then name-based guesses
 async function processFirm(firm, index) {
-  const candidates = generateSlugCandidates(firm);
+  const today = new Date().toISOString().slice(0, 10);
+  const links = await scanWebsite(firm.website);
+  const nameCandidates = generateSlugCandidates(firm);
+  const probe = firm.ats_probe || {};
+  const previous = probe.verified || {};
+  const verified = {};
+  const guesses = [];
 
   console.log(`\n[${index + 1}] ${firm.name}`);
-  console.log(`    Slug candidates: ${candidates.slice(0, 3).join(', ')}${candidates.length > 3 ? '...' : ''}`);
-
-  let foundGreenhouse = false;
-  let foundLever = false;
-
-  // Try each slug candidate
-  for (const candidate of candidates) {
-    if (!foundGreenhouse) {
-      const gh = await probeGreenhouse(candidate);
-      if (gh.found) {
-        console.log(`    ✓ Found on Greenhouse: ${candidate}`);
-        firm.greenhouse_slug = candidate;
-        foundGreenhouse = true;
-      }
+  if (links === null && firm.website) console.log('    ⚠ Website unreachable — only board evidence counts');
+
+  for (const adapter of ADAPTERS) {
+    const linked = (links && links[adapter.id]) || [];
+    const current = firm[adapter.slugField] ? [firm[adapter.slugField].toLowerCase()] : [];
+    const candidates = [...new Set([...linked, ...current, ...nameCandidates])];
+    let best = null;
+
+    for (const slug of candidates) {
+      const data = await fetchBoard(adapter, slug);
+      if (!data) continue;
+      const check = verifyBoard(firm, adapter, data, slug, linked.includes(slug));
+      if (!best || check.confidence > best.confidence) best = { slug, ...check };
+      if (check.confidence >= VERIFIED_CONFIDENCE) break;
     }
 
-    if (!foundLever) {
-      const lv = await probeLever(candidate);
-      if (lv.found) {
-        console.log(`    ✓ Found on Lever: ${candidate}`);
-        firm.lever_slug = candidate;
-        foundLever = true;
-      }
+    // A site we couldn't load can't vouch for anything, so a board verified before keeps its standing
+    const prior = previous[adapter.id];
+    if (links === null && prior && best && best.slug === prior.slug && best.confidence < VERIFIED_CONFIDENCE) {
+      verified[adapter.id] = prior;
+      console.log(`    ○ ${adapter.label}: ${prior.slug} still answers; keeping verification from ${prior.verified_at}`);
+    } else if (best && best.confidence >= VERIFIED_CONFIDENCE) {
+      verified[adapter.id] = { slug: best.slug, confidence: best.confidence, verified_at: today, evidence: best.evidence };
+      console.log(`    ✓ ${adapter.label}: ${best.slug} (confidence ${best.confidence}: ${best.evidence.join(', ')})`);
+    } else if (best) {
+      guesses.push({ adapter: adapter.id, slug: best.slug, confidence: best.confidence, evidence: best.evidence });
+      console.log(`    ? ${adapter.label}: ${best.slug} unverified (confidence ${best.confidence})`);
     }
 
-    // Stop if both found or exhausted candidates
-    if (foundGreenhouse && foundLever) break;
+    // Only verified slugs stay in firms-base.json, so fetch-jobs never polls a guess
+    if (verified[adapter.id]) firm[adapter.slugField] = verified[adapter.id].slug;
+    else if (adapter.slugField in firm) firm[adapter.slugField] = null;
   }
 
-  // If no match found via API, set best slug candidate for later validation
-  if (!foundGreenhouse && !foundLever && candidates.length > 0) {
-    firm.greenhouse_slug = candidates[0];
-    console.log(`    ○ No API match. Setting greenhouse_slug to: ${candidates[0]} (for manual validation)`);
+  firm.ats_probe = { probed_at: today, verified };
+  return { verified, guesses };
+}
+
+function isStale(firm, staleDays) {
+  const probedAt = firm.ats_probe && firm.ats_probe.probed_at;
+  return !probedAt || Date.now() - new Date(probedAt).getTime() > staleDays * 86400000;
+}
+
+function loadGuesses() {
+  try {
+    return JSON.parse(fs.readFileSync(GUESSES_FILE, 'utf8'));
+  } catch (e) {
+    return { updated_at: null, firms: {} };
   }
+}
 
-  return {
-    greenhouse: foundGreenhouse,
-    lever: foundLever
-  };
+// --all, --firm <id>, --stale-days <n>, --limit <n>
+function parseArgs(argv) {
+  const opts = { all: false, firm: null, staleDays: STALE_DAYS, limit: Infinity };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--all') opts.all = true;
+    else if (argv[i] === '--firm') opts.firm = Number(argv[++i]);
+    else if (argv[i] === '--stale-days') opts.staleDays = Number(argv[++i]);
+    else if (argv[i] === '--limit') opts.limit = Number(argv[++i]);
+  }
+  return opts;
 }
 
 // Main function with concurrency control
 async function main() {
   try {
+    const opts = parseArgs(process.argv.slice(2));
     console.log('Reading firms data...');
     const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
-    console.log(`Loaded ${data.length} firms\n`);
-
-    const results = {
-      greenhouse: 0,
-      lever: 0,
-      noMatch: 0
-    };
-
-    // Process in batches with concurrency limit
-    for (let i = 0; i < data.length; i += CONCURRENCY) {
-      const batch = data.slice(i, i + CONCURRENCY);
-      const promises = batch.map((firm, idx) =>
-        processFirm(firm, i + idx)
-      );
-
-      const batchResults = await Promise.all(promises);
-
-      batchResults.forEach(result => {
-        if (result.greenhouse) results.greenhouse++;
-        else if (result.lever) results.lever++;
-        else results.noMatch++;
-      });
-
-      // Delay between batches to avoid overwhelming APIs
-      if (i + CONCURRENCY < data.length) {
-        await new Promise(resolve => setTimeout(resolve, BATCH_DELAY));
+    const queue = data
+      .filter(f => opts.firm !== null ? f.id === opts.firm : opts.all || isStale(f, opts.staleDays))
+      .slice(0, opts.limit);
+    console.log(`Loaded ${data.length} firms; probing ${queue.length}` +
+      (opts.firm === null && !opts.all ? ` not verified in the last ${opts.staleDays} days` : '') + '\n');
+
+    const guessStore = loadGuesses();
+    const results = { noMatch: 0, guessed: 0 };
+    for (const adapter of ADAPTERS) results[adapter.id] = 0;
+
+    // Several firms at a time; the HTTP client keeps each host within its rate limit
+    await pool(queue, async (firm, index) => {
+      const { verified, guesses } = await processFirm(firm, index);
+      const matched = ADAPTERS.filter(a => verified[a.id]);
+      matched.forEach(a => results[a.id]++);
+      if (matched.length === 0) results.noMatch++;
+      if (guesses.length > 0) {
+        results.guessed++;
+        guessStore.firms[firm.id] = { name: firm.name, website: firm.website || '', probed_at: firm.ats_probe.probed_at, boards: guesses };
+      } else {
+        delete guessStore.firms[firm.id];
       }
-    }
+    }, CONCURRENCY);
 
     // Write updated data back to file
     console.log('\n\nWriting updated data...');
     fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
+    guessStore.updated_at = new Date().toISOString();
+    fs.writeFileSync(GUESSES_FILE, JSON.stringify(guessStore, null, 2) + '\n');
     console.log('Data written to ' + DATA_FILE);
+    console.log('Unverified guesses written to ' + GUESSES_FILE);
 
     // Print summary
     console.log('\n' + '='.repeat(60));
     console.log('SUMMARY');
     console.log('='.repeat(60));
-    console.log(`Total firms processed: ${data.length}`);
-    console.log(`Firms matched to Greenhouse: ${results.greenhouse}`);
-    console.log(`Firms matched to Lever: ${results.lever}`);
-    console.log(`Firms with no match: ${results.noMatch}`);
+    console.log(`Firms probed: ${queue.length} of ${data.length}`);
+    for (const adapter of ADAPTERS) {
+      console.log(`Firms verified on ${adapter.label}: ${results[adapter.id]}`);
+    }
+    console.log(`Firms with no verified board: ${results.noMatch} (${results.guessed} with unverified guesses)`);
     console.log('='.repeat(60));
 
   } catch (error) {
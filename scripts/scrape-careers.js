@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/**
+ * Try the careers-page scraper (lib/careers.js) on one firm and show what it
+ * would find, with each job's relevance score — for checking a firm before
+ * adding an entry to data/careers-overrides.json.
+ *
+ * Usage:
+ *   node scrape-careers.js --firm 42                          fetch the firm's site
+ *   node scrape-careers.js --firm 42 --html saved.html        read a saved careers page instead
+ *   node scrape-careers.js --html saved.html --url <page url> saved page, no firm
+ *   node scrape-careers.js ... --link-pattern <re> --title-pattern <re>   try override patterns
+ *
+ * With HTTP_REPLAY set, --firm reads recorded fixtures (see fixture-server.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createClient } = require('./lib/http');
+const { loadOverrides, scrapeCareers } = require('./lib/careers');
+const { relevanceDecision } = require('./lib/relevance');
+
+const FIRMS_BASE = path.join(__dirname, '..', 'data', 'firms-base.json');
+const CAREERS_OVERRIDES = path.join(__dirname, '..', 'data', 'careers-overrides.json');
+
+function parseArgs(argv) {
+  const opts = { firm: null, html: null, url: null, linkPattern: null, titlePattern: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--firm') opts.firm = Number(argv[++i]);
+    else if (argv[i] === '--html') opts.html = argv[++i];
+    else if (argv[i] === '--url') opts.url = argv[++i];
+    else if (argv[i] === '--link-pattern') opts.linkPattern = argv[++i];
+    else if (argv[i] === '--title-pattern') opts.titlePattern = argv[++i];
+  }
+  return opts;
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  let firm = { name: 'Saved page', website: '' };
+  if (opts.firm !== null) {
+    firm = JSON.parse(fs.readFileSync(FIRMS_BASE, 'utf8')).find(f => f.id === opts.firm);
+    if (!firm) {
+      console.error(`✗ No firm with id ${opts.firm}`);
+      process.exit(1);
+    }
+  } else if (!opts.html || !opts.url) {
+    console.error('Usage: node scrape-careers.js --firm <id> [--html <file>] | --html <file> --url <page url>');
+    process.exit(1);
+  }
+
+  const override = { ...loadOverrides(CAREERS_OVERRIDES)[firm.id] };
+  if (opts.linkPattern) override.link_pattern = opts.linkPattern;
+  if (opts.titlePattern) override.title_pattern = opts.titlePattern;
+  delete override.skip;
+
+  let get;
+  if (opts.html) {
+    // The saved file stands in for the careers page; nothing else is fetched
+    override.url = opts.url || override.url || firm.website;
+    const html = fs.readFileSync(opts.html, 'utf8');
+    get = async url => (url === override.url ? html : null);
+  } else {
+    const http = createClient();
+    get = async url => {
+      const resp = await http.request(url);
+      return resp.ok ? resp.text : null;
+    };
+  }
+
+  const { pages, jobs } = await scrapeCareers(firm, get, override);
+  console.log(`${firm.name}${firm.website ? ` (${firm.website})` : ''}`);
+  console.log(pages.length ? `Read: ${pages.join(', ')}` : 'No careers page found');
+  for (const j of jobs) {
+    const decision = relevanceDecision(j.relevance.score);
+    console.log(`\n  ${decision === 'reject' ? '✗' : decision === 'borderline' ? '?' : '✓'} ${j.title} — ${j.type}${j.salary !== 'See listing' ? `, ${j.salary}` : ''}`);
+    console.log(`    ${j.url}`);
+    console.log(`    relevance ${j.relevance.score}: ${j.relevance.reasons.join('; ') || 'no signals'}`);
+  }
+  console.log(`\n${jobs.length} jobs, ${jobs.filter(j => relevanceDecision(j.relevance.score) !== 'reject').length} would be kept`);
+}
+
+main().catch(err => {
+  console.error('Error:', err);
+  process.exit(1);
+});
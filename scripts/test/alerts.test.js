@@ -0,0 +1,136 @@
+/**
+ * Saved-search alerts: the stored filters, matched with MapVoid's own
+ * filters.js, against the jobs new in a run.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadAlerts, normalizeFilters, buildDigests, writeDigests } = require('../lib/alerts');
+
+function firm(id, name, extra = {}) {
+  return {
+    id, name, city: 'Portland', state: 'OR', lat: 45.52, lng: -122.68, size: 40,
+    discipline: 'architecture', specialties: [], about: '', website: '', jobs: [], ...extra
+  };
+}
+
+function job(id, title, extra = {}) {
+  return { id, title, type: 'Full-time', salary: 'See listing', url: `https://boards.example.com/${id}`, first_seen: '2026-10-19T06:00:00.000Z', ...extra };
+}
+
+const FIRMS = [
+  firm(1, 'Fieldwork Design', {
+    specialties: ['Civic', 'Sustainable'],
+    about: 'Mass timber libraries and schools.',
+    jobs: [job('greenhouse-1', 'Project Architect', { salary: '$90K–$110K' }), job('greenhouse-2', 'Architectural Intern')]
+  }),
+  firm(2, 'Rivers Landscape', {
+    city: 'Seattle', state: 'WA', lat: 47.6, lng: -122.33, discipline: 'landscape', specialties: ['Parks'],
+    jobs: [job('lever-1', 'Landscape Designer'), job('lever-2', 'Senior Landscape Architect')]
+  }),
+  firm(3, 'Commons Urbanism', {
+    city: 'Chicago', state: 'IL', lat: 41.88, lng: -87.63, discipline: 'urban',
+    jobs: [job('ashby-1', 'Urban Designer')]
+  }),
+  firm(4, 'Quiet Studio', { size: 8 })
+];
+
+// Only these jobs are new in this run
+const ADDED = new Set(['greenhouse-1', 'lever-1', 'lever-2', 'ashby-1']);
+
+function alert(id, filters, extra = {}) {
+  return { id, email: `${id}@example.com`, filters, summary: '', created_at: '2026-10-01T00:00:00.000Z', ...extra };
+}
+
+test('normalizeFilters accepts what MapVoid stores and drops what it would not produce', () => {
+  assert.deepEqual(normalizeFilters('{"disciplines":"landscape,interiors","refines":["jobs","bogus"],"minSalary":"80000"}'), {
+    disciplines: ['landscape'],
+    state: 'all',
+    refines: ['jobs'],
+    specialty: '',
+    q: '',
+    minSalary: 80000,
+    near: null,
+    region: null
+  });
+  const f = normalizeFilters({ near: { lat: 45.5, lng: -122.7, radius: 25 }, region: { points: [[1, 2], [3, 4]] } });
+  assert.deepEqual(f.near, { lat: 45.5, lng: -122.7, radius: 25, label: 'Dropped pin' });
+  assert.equal(f.region, null);
+  assert.deepEqual(normalizeFilters(null).disciplines, []);
+  assert.throws(() => normalizeFilters('{not json'));
+});
+
+test('buildDigests lists only new jobs at firms matching each alert', () => {
+  const alerts = [
+    alert('landscape', { disciplines: ['landscape'] }),
+    alert('oregon', { state: 'OR', refines: ['jobs'] }),
+    alert('search', { q: 'timber' }),
+    alert('near-seattle', { near: { lat: 47.61, lng: -122.34, radius: 10, label: 'Seattle' } }),
+    // Matches only Quiet Studio, which has no new jobs, so no digest
+    alert('boutique', { refines: ['small'] })
+  ];
+  const { digests, invalid } = buildDigests(alerts, FIRMS, ADDED);
+  assert.equal(invalid, 0);
+  assert.deepEqual(digests.map(d => [d.alert_id, d.jobs.map(j => j.id)]), [
+    ['landscape', ['lever-1', 'lever-2']],
+    ['oregon', ['greenhouse-1']],
+    ['search', ['greenhouse-1']],
+    ['near-seattle', ['lever-1', 'lever-2']]
+  ]);
+
+  const oregon = digests[1];
+  assert.equal(oregon.email, 'oregon@example.com');
+  assert.equal(oregon.summary, 'OR · has open jobs');
+  assert.equal(oregon.url, 'https://thresholdarch.com/mapvoid/?refine=jobs&state=OR');
+  assert.deepEqual(oregon.jobs[0], {
+    id: 'greenhouse-1',
+    title: 'Project Architect',
+    firm: 'Fieldwork Design',
+    firm_id: 1,
+    location: 'Portland, OR',
+    discipline: 'architecture',
+    type: 'Full-time',
+    salary: '$90K–$110K',
+    url: 'https://boards.example.com/greenhouse-1',
+    firm_url: 'https://thresholdarch.com/mapvoid/?firm=1',
+    first_seen: '2026-10-19T06:00:00.000Z'
+  });
+  assert.equal(digests[0].jobs[0].salary, null);
+});
+
+test('buildDigests counts alerts it cannot read and skips them', () => {
+  const alerts = [
+    alert('no-email', { state: 'WA' }, { email: '' }),
+    alert('broken', '{"state":'),
+    alert('ok', '{"state":"WA"}', { summary: 'Seattle landscape jobs' })
+  ];
+  const { digests, invalid } = buildDigests(alerts, FIRMS, ADDED);
+  assert.equal(invalid, 2);
+  assert.deepEqual(digests.map(d => [d.alert_id, d.summary, d.total]), [['ok', 'Seattle landscape jobs', 2]]);
+});
+
+test('a digest lists at most 25 jobs but counts them all', () => {
+  const many = Array.from({ length: 30 }, (_, i) => job(`greenhouse-${100 + i}`, `Architect ${i}`));
+  const firms = [firm(1, 'Fieldwork Design', { jobs: many })];
+  const { digests } = buildDigests([alert('all', {})], firms, new Set(many.map(j => j.id)));
+  assert.equal(digests[0].total, 30);
+  assert.equal(digests[0].jobs.length, 25);
+  assert.equal(digests[0].summary, 'All firms');
+});
+
+test('loadAlerts reads a file and writeDigests writes the endpoint payload', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-'));
+  t.after(() => fs.rmSync(dir, { recursive: true }));
+  const file = path.join(dir, 'alerts.json');
+  fs.writeFileSync(file, JSON.stringify({ alerts: [alert('a', { state: 'OR' })] }));
+  assert.deepEqual((await loadAlerts(file)).map(a => a.id), ['a']);
+  fs.writeFileSync(file, JSON.stringify({ subscriptions: [] }));
+  await assert.rejects(loadAlerts(file), /no "alerts" list/);
+
+  const out = path.join(dir, 'alert-digests.json');
+  writeDigests(out, '2026-10-19T06:00:00.000Z', []);
+  assert.deepEqual(JSON.parse(fs.readFileSync(out, 'utf8')), { action: 'digests', run_at: '2026-10-19T06:00:00.000Z', digests: [] });
+});
@@ -0,0 +1,132 @@
+/**
+ * ATS adapters against one board response each.
+ *
+ * test/fixtures/ats/<adapter>.json is a board response in the fixture format
+ * HTTP_RECORD writes (lib/http.js), so a recording of the same board URL
+ * (fixturePath(dir, 'GET', url)) can replace it as it is.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { ADAPTERS, getAdapter } = require('../ats');
+
+// Board slug behind each fixture's URL
+const SLUGS = {
+  greenhouse: 'gensler',
+  lever: 'ora-architecture',
+  ashby: 'studio-gang',
+  workable: 'mithun',
+  smartrecruiters: 'AECOM',
+  bamboohr: 'lakeflato'
+};
+
+function board(id) {
+  const fixture = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'ats', `${id}.json`), 'utf8'));
+  return { fixture, data: JSON.parse(fixture.body), slug: SLUGS[id] };
+}
+
+function jobs(id) {
+  const { data, slug } = board(id);
+  return getAdapter(id).toJobs(data, slug);
+}
+
+test('every adapter has a fixture for its board URL', () => {
+  for (const adapter of ADAPTERS) {
+    const { fixture, data } = board(adapter.id);
+    assert.equal(fixture.url, adapter.boardUrl(SLUGS[adapter.id]), adapter.id);
+    assert.equal(fixture.status, 200, adapter.id);
+    assert.ok(adapter.isBoard(data), `${adapter.id} recognizes its own board`);
+  }
+});
+
+test('every adapter maps its fixture to complete jobs', () => {
+  for (const adapter of ADAPTERS) {
+    const list = jobs(adapter.id);
+    assert.ok(list.length > 0, adapter.id);
+    for (const job of list) {
+      assert.match(job.id, new RegExp(`^${adapter.id}-[A-Za-z0-9_-]+$`), adapter.id);
+      assert.ok(job.title && job.title !== 'Untitled', adapter.id);
+      assert.ok(['Full-time', 'Part-time', 'Contract', 'Internship'].includes(job.type), `${adapter.id}: ${job.type}`);
+      assert.match(job.url, /^https:\/\//, adapter.id);
+      assert.ok(job.posted_at === null || !isNaN(new Date(job.posted_at)), adapter.id);
+      assert.ok(job.seniority && job.role_family && job.work_arrangement, adapter.id);
+    }
+  }
+});
+
+test('no adapter takes an error or an empty company for a board', () => {
+  for (const adapter of ADAPTERS) {
+    assert.ok(!adapter.isBoard(null), adapter.id);
+    assert.ok(!adapter.isBoard({ status: 404, error: 'Not found' }), adapter.id);
+  }
+  assert.ok(!getAdapter('smartrecruiters').isBoard({ offset: 0, limit: 100, totalFound: 0, content: [] }));
+});
+
+test('greenhouse: metadata salary ranges, workplace type and encoded content', () => {
+  const [senior, intern] = jobs('greenhouse');
+  assert.equal(senior.id, 'greenhouse-7012345');
+  assert.equal(senior.posted_at, '2026-09-02T18:11:05.000Z');
+  assert.deepEqual([senior.salary_min, senior.salary_max, senior.currency, senior.period], [118000, 152000, 'USD', 'year']);
+  assert.equal(senior.work_arrangement, 'hybrid');
+  assert.equal(senior.seniority, 'senior');
+  assert.match(senior.description, /^<p>Lead the <strong>technical design<\/strong>/);
+  // "Hourly Pay Range" sets the period
+  assert.deepEqual([intern.salary_min, intern.salary_max, intern.period], [24, 28, 'hour']);
+  assert.equal(intern.type, 'Internship');
+  assert.deepEqual(getAdapter('greenhouse').boardInfo(board('greenhouse').data), {
+    company: 'Gensler',
+    locations: ['San Francisco, CA', 'Chicago, IL']
+  });
+});
+
+test('lever: salaryRange, commitment, lists and pay quoted in the text', () => {
+  const [designer, bim] = jobs('lever');
+  assert.deepEqual([designer.salary_min, designer.salary_max, designer.period], [78000, 92000, 'year']);
+  assert.equal(designer.seniority, 'mid');
+  assert.equal(designer.role_family, 'landscape');
+  assert.match(designer.description, /<h4>Requirements<\/h4><ul><li>Degree in landscape architecture<\/li>/);
+  assert.equal(bim.type, 'Contract');
+  assert.deepEqual([bim.salary_min, bim.salary_max, bim.period], [45, 55, 'hour']);
+  assert.equal(bim.work_arrangement, 'remote');
+  assert.equal(bim.role_family, 'bim');
+});
+
+test('ashby: unlisted postings are dropped and compensation is read', () => {
+  const list = jobs('ashby');
+  assert.deepEqual(list.map(j => j.title), ['Urban Designer']);
+  const [job] = list;
+  assert.equal(job.salary, '$85K–$105K');
+  assert.deepEqual([job.salary_min, job.salary_max, job.period], [85000, 105000, 'year']);
+  assert.equal(job.work_arrangement, 'hybrid');
+  assert.equal(job.description, '<p>Shape neighborhood plans and public space.</p>');
+});
+
+test('workable: shortcodes, employment type and telecommuting', () => {
+  const [viz, interior] = jobs('workable');
+  assert.equal(viz.id, 'workable-A1B2C3D4E5');
+  assert.equal(viz.role_family, 'visualization');
+  assert.equal(viz.work_arrangement, 'hybrid');
+  assert.equal(interior.type, 'Part-time');
+  assert.equal(interior.work_arrangement, 'remote');
+  assert.equal(getAdapter('workable').boardInfo(board('workable').data).company, 'Mithun');
+});
+
+test('smartrecruiters: posting URLs use the company identifier', () => {
+  const [pm, landscape] = jobs('smartrecruiters');
+  assert.equal(pm.url, 'https://jobs.smartrecruiters.com/AECOM2/744000081234567');
+  assert.equal(pm.work_arrangement, 'hybrid');
+  assert.equal(landscape.work_arrangement, 'remote');
+  assert.equal(landscape.seniority, 'entry');
+});
+
+test('bamboohr: IDs and URLs are scoped to the board', () => {
+  const [intern, principal] = jobs('bamboohr');
+  assert.equal(intern.id, 'bamboohr-lakeflato-48');
+  assert.equal(intern.url, 'https://lakeflato.bamboohr.com/careers/48');
+  assert.equal(intern.posted_at, null);
+  assert.equal(intern.work_arrangement, 'onsite');
+  assert.equal(principal.seniority, 'principal');
+  assert.equal(principal.work_arrangement, 'hybrid');
+});
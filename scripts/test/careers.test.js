@@ -0,0 +1,123 @@
+/**
+ * Careers-page scraping against saved HTML.
+ *
+ * test/fixtures/careers/ holds one firm's site: a homepage linking to its
+ * careers page, and three versions of that page — JSON-LD postings, posting
+ * links (one of whose pages carries JSON-LD) and bare headings.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { careersLinks, jsonLdPostings, heuristicPostings, scrapeCareers } = require('../lib/careers');
+
+const SITE = 'https://www.fieldwork.example/';
+const CAREERS = SITE + 'careers/';
+
+function page(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', 'careers', name), 'utf8');
+}
+
+// The firm's site with `careersPage` served at /careers/; records the URLs requested
+function site(careersPage) {
+  const pages = {
+    [SITE]: page('home.html'),
+    [CAREERS]: page(careersPage),
+    [CAREERS + 'senior-interior-designer/']: page('posting-senior-interior-designer.html')
+  };
+  const requested = [];
+  const get = async url => {
+    requested.push(url);
+    return pages[url] === undefined ? null : pages[url];
+  };
+  return { get, requested };
+}
+
+test('careersLinks ranks the site\'s own careers link first', () => {
+  assert.deepEqual(careersLinks(page('home.html'), SITE), [
+    CAREERS,
+    SITE + 'studio/',
+    'https://jobs.example.org/work-with-us'
+  ]);
+});
+
+test('jsonLdPostings finds postings nested in @graph and ItemList and skips malformed blocks', () => {
+  const postings = jsonLdPostings(page('careers-jsonld.html'));
+  assert.equal(postings.length, 2);
+  assert.deepEqual(jsonLdPostings(page('posting-senior-interior-designer.html')).map(p => p.identifier), ['FW-221']);
+  assert.deepEqual(jsonLdPostings(page('careers-links.html')), []);
+});
+
+test('JSON-LD path: postings become jobs with pay, dates and type', async () => {
+  const { get, requested } = site('careers-jsonld.html');
+  const { pages, jobs } = await scrapeCareers({ website: SITE }, get);
+  assert.deepEqual(pages, [CAREERS]);
+  // The listing has everything, so no posting page is fetched
+  assert.deepEqual(requested, [SITE, CAREERS]);
+  const [architect, landscape] = jobs;
+
+  assert.equal(architect.id, 'careers-FW-104');
+  // Markup that only appears once entities are decoded is stripped from the title
+  assert.equal(architect.title, 'Project Architect');
+  assert.equal(architect.url, CAREERS + 'project-architect/');
+  assert.equal(architect.posted_at, '2026-09-14T00:00:00.000Z');
+  assert.deepEqual([architect.salary_min, architect.salary_max, architect.period], [95000, 120000, 'year']);
+  assert.equal(architect.seniority, 'senior');
+  assert.equal(architect.description, '<p>Lead healthcare projects from schematic design through construction.</p><p>7+ years of experience.</p>');
+
+  assert.equal(landscape.type, 'Part-time');
+  assert.equal(landscape.work_arrangement, 'remote');
+  assert.deepEqual([landscape.salary_min, landscape.salary_max, landscape.period], [32, 38, 'hour']);
+});
+
+test('heuristics: links whose text reads like a job title', () => {
+  assert.deepEqual(heuristicPostings(page('careers-links.html'), CAREERS), [
+    { title: 'Senior Interior Designer', url: CAREERS + 'senior-interior-designer/' },
+    { title: 'BIM Coordinator & Drafter', url: CAREERS + 'bim-coordinator/' },
+    { title: 'Architectural Intern – Summer 2027', url: 'https://boards.example.net/fieldwork/intern' }
+  ]);
+});
+
+test('heuristics: posting pages on the same site fill in their JSON-LD', async () => {
+  const { get, requested } = site('careers-links.html');
+  const { jobs } = await scrapeCareers({ website: SITE }, get);
+  // The off-site board link is not followed
+  assert.deepEqual(requested, [SITE, CAREERS, CAREERS + 'senior-interior-designer/', CAREERS + 'bim-coordinator/']);
+  assert.deepEqual(jobs.map(j => j.title), ['Senior Interior Designer', 'BIM Coordinator & Drafter', 'Architectural Intern – Summer 2027']);
+
+  const [interior, bim] = jobs;
+  assert.equal(interior.id, 'careers-FW-221');
+  assert.equal(interior.role_family, 'interiors');
+  assert.equal(interior.salary_min, 105000);
+  assert.equal(interior.description, '<p>Shape workplace interiors for our clients.</p>');
+  // No posting page: a job from the link alone
+  assert.match(bim.id, /^careers-h[0-9a-f]{12}$/);
+  assert.equal(bim.salary, 'See listing');
+  assert.equal(bim.role_family, 'bim');
+});
+
+test('heuristics: headings when no link reads like a title', async () => {
+  const { get } = site('careers-headings.html');
+  const { jobs } = await scrapeCareers({ website: SITE }, get);
+  assert.deepEqual(jobs.map(j => [j.title, j.url]), [
+    ['Junior Landscape Designer', CAREERS],
+    ['Project Manager (Hybrid)', CAREERS],
+    ['Urban Planner', CAREERS]
+  ]);
+  assert.equal(jobs[1].work_arrangement, 'hybrid');
+});
+
+test('overrides: careers URL, link and title patterns, skip', async () => {
+  const { get, requested } = site('careers-links.html');
+  const linked = await scrapeCareers({ website: SITE }, get, { url: CAREERS, link_pattern: 'boards\\.example\\.net' });
+  assert.deepEqual(requested, [CAREERS]);
+  assert.deepEqual(linked.jobs.map(j => j.title), ['Architectural Intern – Summer 2027']);
+
+  assert.deepEqual(heuristicPostings(page('careers-links.html'), CAREERS, { title_pattern: 'interior' }).map(p => p.title), ['Senior Interior Designer']);
+  assert.deepEqual(await scrapeCareers({ website: SITE }, get, { skip: true }), { pages: [], jobs: [] });
+});
+
+test('a site that does not answer yields nothing', async () => {
+  assert.deepEqual(await scrapeCareers({ website: SITE }, async () => null), { pages: [], jobs: [] });
+});
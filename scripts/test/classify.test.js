@@ -0,0 +1,28 @@
+/**
+ * Job classification against a labeled set of titles and signals.
+ *
+ * test/fixtures/classify.json lists { title, type?, signals?, expected } with
+ * the seniority, role_family and work_arrangement a reader would give the job.
+ * Several cases only pass because of rule order (see FAMILY_RULES); add one
+ * whenever a rule changes.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SENIORITY, ROLE_FAMILIES, ARRANGEMENTS, classifyJob } = require('../lib/classify');
+const CASES = require('./fixtures/classify.json');
+
+test('fixture labels are valid classes', () => {
+  for (const { title, expected } of CASES) {
+    assert.ok(SENIORITY.includes(expected.seniority), title);
+    assert.ok(ROLE_FAMILIES.includes(expected.role_family), title);
+    assert.ok(ARRANGEMENTS.includes(expected.work_arrangement), title);
+  }
+});
+
+for (const { title, type, signals, expected } of CASES) {
+  const label = signals ? `${title} ${JSON.stringify(signals)}` : title;
+  test(label, () => {
+    assert.deepEqual(classifyJob({ title, type }, signals), expected);
+  });
+}
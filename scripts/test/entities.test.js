@@ -0,0 +1,152 @@
+/**
+ * Employer matching (lib/entities.js) and the discoveries store it feeds
+ * (lib/discoveries.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { normalizeName, nameSimilarity, domainOf, createMatcher } = require('../lib/entities');
+const { discoveryKey, loadDiscoveries, saveDiscoveries, isRejected, mergeDiscoveries } = require('../lib/discoveries');
+
+const FIRMS = [
+  { id: 1, name: 'Gensler', city: 'San Francisco', state: 'CA', lat: 37.79, lng: -122.4, website: 'https://gensler.com' },
+  { id: 2, name: 'Gensler', city: 'Houston', state: 'TX', lat: 29.76, lng: -95.37, website: 'https://gensler.com' },
+  { id: 3, name: 'SOM (Skidmore, Owings & Merrill)', city: 'Chicago', state: 'IL', lat: 41.88, lng: -87.63, website: 'https://som.com' },
+  { id: 4, name: 'Perkins&Will', city: 'Chicago', state: 'IL', lat: 41.889, lng: -87.634, website: 'https://perkinswill.com' },
+  { id: 5, name: 'Mithun', city: 'Seattle', state: 'WA', lat: 47.6, lng: -122.33, website: 'https://mithun.com', aliases: ['Mithun Partners'] },
+  { id: 6, name: 'Bohlin Cywinski Jackson', city: 'Pittsburgh', state: 'PA', lat: 40.44, lng: -79.99, website: 'https://bcj.com' },
+  { id: 7, name: 'Field Operations', city: 'New York', state: 'NY', lat: 40.7, lng: -74.0, website: 'https://fieldoperations.net' },
+  { id: 8, name: 'Field Operation', city: 'Philadelphia', state: 'PA', lat: 39.95, lng: -75.16, website: '' },
+  { id: 9, name: 'Studio Gang', city: 'Chicago', state: 'IL', lat: 41.877, lng: -87.64, website: 'https://studiogang.com' }
+];
+
+const PLACES = { 'Houston|TX': { lat: 29.76, lng: -95.37 }, 'San Francisco|CA': { lat: 37.79, lng: -122.4 } };
+const geocode = (city, state) => PLACES[`${city}|${state}`] || null;
+
+function matched(employer) {
+  const result = createMatcher(FIRMS, geocode)(employer);
+  return result && result.firm ? result.firm.id : null;
+}
+
+test('names normalize without legal suffixes, symbols or trailing generic words', () => {
+  assert.equal(normalizeName('Perkins&Will'), 'perkins will');
+  assert.equal(normalizeName('The Olin Studio, LLC'), 'olin');
+  assert.equal(normalizeName('Design Workshop'), 'design workshop');
+  assert.equal(normalizeName('Architects'), 'architects');
+  assert.equal(nameSimilarity('SmithGroup', 'Smith Group Inc.'), 1);
+  assert.equal(nameSimilarity('Bohlin Cywinski Jackson', 'Bohlin Cywinsky Jackson'), 0.9);
+  assert.equal(nameSimilarity('', 'Gensler'), 0);
+  assert.equal(domainOf('https://www.Gensler.com/careers'), 'gensler.com');
+  assert.equal(domainOf('mithun.com'), 'mithun.com');
+  assert.equal(domainOf('not a url'), '');
+});
+
+test('exact matches: same name after normalizing, aliases and parenthesized names', () => {
+  assert.equal(matched({ name: 'Perkins and Will' }), 4);
+  assert.equal(matched({ name: 'Perkins + Will Architects' }), 4);
+  assert.equal(matched({ name: 'Mithun Partners' }), 5);
+  assert.equal(matched({ name: 'Skidmore, Owings & Merrill LLP' }), 3);
+  assert.equal(matched({ name: 'SOM' }), 3);
+});
+
+test('offices of one firm are not a conflict: the nearest one wins', () => {
+  assert.equal(matched({ name: 'Gensler', city: 'Houston', state: 'TX' }), 2);
+  assert.equal(matched({ name: 'Gensler Inc.', city: 'San Francisco', state: 'California' }), 1);
+});
+
+test('fuzzy matches: a close spelling alone, or a looser one with the same website', () => {
+  const result = createMatcher(FIRMS, geocode)({ name: 'Bohlin Cywinsky Jackson' });
+  assert.equal(result.firm.id, 6);
+  assert.deepEqual(result.reasons, ['name 0.90']);
+
+  assert.equal(matched({ name: 'Perkns & Will' }), null);
+  const withSite = createMatcher(FIRMS, geocode)({ name: 'Perkns & Will', website: 'https://www.perkinswill.com/jobs' });
+  assert.equal(withSite.firm.id, 4);
+  assert.deepEqual(withSite.reasons, ['name 0.84', 'website']);
+});
+
+test('rejected matches keep the nearest firm for reviewers', () => {
+  const matcher = createMatcher(FIRMS, geocode);
+  // Shares a word and a city with Gensler, but not enough of the name
+  const landscaper = matcher({ name: 'Gensler Landscaping Co', city: 'Houston', state: 'TX' });
+  assert.equal(landscaper.firm, null);
+  assert.deepEqual(landscaper.nearest, { id: 2, name: 'Gensler', score: 0.82 });
+  // A website alone is not enough
+  const site = matcher({ name: 'Acme Corp', website: 'studiogang.com' });
+  assert.equal(site.firm, null);
+  assert.deepEqual(site.reasons, ['name 0.00', 'website']);
+  // Nothing close at all
+  assert.equal(matcher({ name: 'Rustic Road Landscaping' }), null);
+});
+
+test('two different firms scoring alike leave the employer unmatched', () => {
+  const matcher = createMatcher(FIRMS, geocode);
+  const ambiguous = matcher({ name: 'Field Operations Inc' });
+  assert.equal(ambiguous.firm, null);
+  assert.equal(ambiguous.ambiguous, true);
+  assert.deepEqual(ambiguous.reasons, ['name 1.00', 'ambiguous with Field Operation']);
+  // The website settles it
+  assert.equal(matcher({ name: 'Field Operations', website: 'www.fieldoperations.net' }).firm.id, 7);
+});
+
+// ─── Discoveries ─────────────────────────────────────────────
+
+const RUN1 = new Date('2026-10-05T06:00:00.000Z');
+const RUN2 = new Date('2026-10-12T06:00:00.000Z');
+
+function discovery(employer, job, extra = {}) {
+  return { employer, website: '', city: 'Burlington', state: 'Wisconsin', nearest: null, job, ...extra };
+}
+
+test('mergeDiscoveries collapses spellings of one employer and de-duplicates jobs', () => {
+  const store = { updated_at: null, candidates: {}, rejected: {} };
+  const first = mergeDiscoveries(store, [
+    discovery('Acme Architects, Inc.', { id: 'jsearch-1', title: 'Architect' }, { nearest: { id: 9, name: 'Studio Gang', score: 0.4 } }),
+    discovery('ACME Architects', { id: 'jsearch-2', title: 'Designer' }, { city: 'Madison', website: 'acme.example.com' })
+  ], RUN1);
+  assert.deepEqual(first, { added: ['acme'], updated: [] });
+  const acme = store.candidates.acme;
+  assert.equal(acme.employer, 'Acme Architects, Inc.');
+  assert.equal(acme.website, 'acme.example.com');
+  assert.deepEqual(acme.locations, ['Burlington, WI', 'Madison, WI']);
+  assert.deepEqual(acme.nearest, { id: 9, name: 'Studio Gang', score: 0.4 });
+  assert.equal(acme.jobs.length, 2);
+
+  const second = mergeDiscoveries(store, [
+    discovery('Acme Architects', { id: 'jsearch-1', title: 'Architect II' }),
+    discovery('Lakeside Design Co', { title: 'Planner', url: 'https://jobs.example.com/9' })
+  ], RUN2);
+  assert.deepEqual(second, { added: ['lakeside'], updated: ['acme'] });
+  assert.deepEqual([acme.first_seen, acme.last_seen], [RUN1.toISOString(), RUN2.toISOString()]);
+  // Seen again, so it replaces the old copy and sorts first
+  assert.deepEqual(acme.jobs.map(j => [j.id, j.title, j.last_seen]), [
+    ['jsearch-1', 'Architect II', RUN2.toISOString()],
+    ['jsearch-2', 'Designer', RUN1.toISOString()]
+  ]);
+});
+
+test('rejected employers stay out and stale candidates are forgotten', () => {
+  const store = { updated_at: null, candidates: {}, rejected: { [discoveryKey('Green Lawn Landscaping')]: { employer: 'Green Lawn Landscaping', rejected_at: RUN1.toISOString(), reason: 'not a design firm' } } };
+  assert.equal(isRejected(store, 'GREEN LAWN LANDSCAPING LLC'), true);
+  mergeDiscoveries(store, [discovery('Green Lawn Landscaping, LLC', { title: 'Landscape Designer' }), discovery('Quiet Studio', { title: 'Architect' })], RUN1);
+  assert.deepEqual(Object.keys(store.candidates), ['quiet']);
+
+  mergeDiscoveries(store, [], new Date(RUN1.getTime() + 121 * 86400000));
+  assert.deepEqual(store.candidates, {});
+});
+
+test('loadDiscoveries upgrades the old array format and round-trips the store', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'discoveries-'));
+  t.after(() => fs.rmSync(dir, { recursive: true }));
+  const file = path.join(dir, 'jsearch-discoveries.json');
+  assert.deepEqual(loadDiscoveries(file), { updated_at: null, candidates: {}, rejected: {} });
+
+  fs.writeFileSync(file, JSON.stringify([discovery('Acme Architects', { id: 'jsearch-1', title: 'Architect' })]));
+  const store = loadDiscoveries(file);
+  assert.deepEqual(Object.keys(store.candidates), ['acme']);
+  saveDiscoveries(file, store);
+  assert.deepEqual(loadDiscoveries(file), store);
+});
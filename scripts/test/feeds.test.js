@@ -0,0 +1,112 @@
+/**
+ * Feeds written into a temp dir: which jobs go into which feed, and escaping.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FEED_DAYS, writeFeeds } = require('../lib/feeds');
+
+const NOW = new Date('2026-10-19T06:00:00.000Z');
+const STARTED = '2026-09-28T06:00:00.000Z';
+
+function daysAgo(n) {
+  return new Date(NOW.getTime() - n * 86400000).toISOString();
+}
+
+function firms() {
+  return [
+    { id: 1, name: 'Fieldwork', city: 'Oakland', state: 'CA', discipline: 'architecture', jobs: [
+      { id: 'greenhouse-1', title: 'Project Architect', type: 'Full-time', salary: '$95K–$120K', seniority: 'mid', first_seen: daysAgo(2) },
+      { id: 'greenhouse-2', title: 'Job Captain', type: 'Full-time', first_seen: daysAgo(FEED_DAYS + 5) }
+    ] },
+    { id: 2, name: 'Rivers & Roads', city: 'Los Angeles', state: 'CA', discipline: 'landscape', jobs: [
+      { id: 'lever-a1', title: 'Designer <b>"Parks"</b>', type: 'Contract', url: 'https://jobs.lever.co/rr/a1?src=feed&ref=1', first_seen: daysAgo(1) }
+    ] },
+    { id: 3, name: 'Upstate Landscape', city: 'Albany', state: 'NY', discipline: 'landscape', jobs: [
+      // Open when the history started
+      { id: 'ashby-x', title: 'Landscape Designer', type: 'Full-time', first_seen: STARTED }
+    ] },
+    { id: 4, name: 'Commons Urbanism', city: '', state: '', discipline: 'urban', jobs: [
+      { id: 'careers-h0123456789ab', title: 'Urban Designer', type: 'Full-time', first_seen: daysAgo(3) }
+    ] }
+  ];
+}
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'feeds-'));
+}
+
+function items(dir, name) {
+  return JSON.parse(fs.readFileSync(path.join(dir, `${name}.json`), 'utf8')).items.map(i => i.id);
+}
+
+test('feeds per discipline, state and discipline-state, newest jobs first', () => {
+  const dir = tempDir();
+  const count = writeFeeds(firms(), dir, NOW);
+  const names = fs.readdirSync(dir).filter(f => f.endsWith('.json')).map(f => f.slice(0, -5)).sort();
+  // No multidisciplinary firms, and the urban firm has no state
+  assert.deepEqual(names, ['CA', 'NY', 'all', 'architecture', 'architecture-CA', 'landscape', 'landscape-CA', 'landscape-NY', 'urban']);
+  assert.equal(count, names.length);
+
+  assert.deepEqual(items(dir, 'all'), ['lever-a1', 'greenhouse-1', 'careers-h0123456789ab', 'ashby-x']);
+  assert.deepEqual(items(dir, 'architecture'), ['greenhouse-1']);
+  assert.deepEqual(items(dir, 'landscape'), ['lever-a1', 'ashby-x']);
+  assert.deepEqual(items(dir, 'urban'), ['careers-h0123456789ab']);
+  assert.deepEqual(items(dir, 'CA'), ['lever-a1', 'greenhouse-1']);
+  assert.deepEqual(items(dir, 'architecture-CA'), ['greenhouse-1']);
+  assert.deepEqual(items(dir, 'landscape-CA'), ['lever-a1']);
+  assert.deepEqual(items(dir, 'landscape-NY'), ['ashby-x']);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('jobs first seen on the run that started the history are not new', () => {
+  const dir = tempDir();
+  writeFeeds(firms(), dir, NOW, STARTED);
+  assert.deepEqual(items(dir, 'all'), ['lever-a1', 'greenhouse-1', 'careers-h0123456789ab']);
+  assert.deepEqual(items(dir, 'landscape-NY'), []);
+  // The feed stays, dated by the newest job anywhere
+  const atom = fs.readFileSync(path.join(dir, 'landscape-NY.xml'), 'utf8');
+  assert.match(atom, new RegExp(`<updated>${daysAgo(1)}</updated>`));
+  assert.doesNotMatch(atom, /<entry>/);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('on a first run every job is from the start of the history, so the feeds are empty', () => {
+  const dir = tempDir();
+  const list = firms();
+  for (const f of list) for (const j of f.jobs) j.first_seen = NOW.toISOString();
+  writeFeeds(list, dir, NOW, NOW.toISOString());
+  assert.deepEqual(items(dir, 'all'), []);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('Atom entries escape titles, summaries and links', () => {
+  const dir = tempDir();
+  writeFeeds(firms(), dir, NOW);
+  const atom = fs.readFileSync(path.join(dir, 'landscape-CA.xml'), 'utf8');
+  assert.match(atom, /<title>Designer &lt;b&gt;&quot;Parks&quot;&lt;\/b&gt; — Rivers &amp; Roads<\/title>/);
+  assert.match(atom, /<link rel="alternate" href="https:\/\/jobs\.lever\.co\/rr\/a1\?src=feed&amp;ref=1"\/>/);
+  assert.match(atom, /<summary>Rivers &amp; Roads · Los Angeles, CA · Contract<\/summary>/);
+  assert.doesNotMatch(atom, /<b>|Rivers & Roads/);
+
+  // Jobs without a URL link to their firm on the map
+  const json = JSON.parse(fs.readFileSync(path.join(dir, 'architecture.json'), 'utf8'));
+  assert.equal(json.items[0].url, 'https://thresholdarch.com/mapvoid/?firm=1');
+  assert.equal(json.items[0].content_text, 'Fieldwork · Oakland, CA · Full-time · $95K–$120K · Mid-level');
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('feeds that no longer apply are removed', () => {
+  const dir = tempDir();
+  fs.writeFileSync(path.join(dir, 'multi-TX.xml'), '');
+  fs.writeFileSync(path.join(dir, 'multi-TX.json'), '');
+  fs.writeFileSync(path.join(dir, 'README.txt'), '');
+  writeFeeds(firms(), dir, NOW);
+  assert.ok(!fs.existsSync(path.join(dir, 'multi-TX.xml')));
+  assert.ok(!fs.existsSync(path.join(dir, 'multi-TX.json')));
+  assert.ok(fs.existsSync(path.join(dir, 'README.txt')));
+  fs.rmSync(dir, { recursive: true });
+});
@@ -0,0 +1,114 @@
+/**
+ * Job history across synthetic runs with fixed clocks.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadHistory, saveHistory, recordRun } = require('../lib/history');
+
+const DAY = 86400000;
+const RUN1 = new Date('2026-10-05T06:00:00.000Z');
+const RUN2 = new Date(RUN1.getTime() + 7 * DAY);
+const RUN3 = new Date(RUN2.getTime() + 7 * DAY);
+
+function job(id, title, extra = {}) {
+  return { id, title, url: `https://boards.example.com/${id}`, ...extra };
+}
+
+test('first run: every job is added and stamped with this run', () => {
+  const history = { started_at: null, updated_at: null, jobs: {} };
+  const firms = [
+    { id: 1, jobs: [job('greenhouse-1', 'Project Architect', { posted_at: '2026-09-30T00:00:00.000Z' }), job('greenhouse-2', 'Designer')] },
+    // Jobs without a stable ID are not tracked
+    { id: 2, jobs: [{ title: 'Sample listing' }] }
+  ];
+  const { added, closed } = recordRun(history, firms, RUN1);
+
+  assert.deepEqual(added, ['greenhouse-1', 'greenhouse-2']);
+  assert.deepEqual(closed, []);
+  assert.equal(history.started_at, RUN1.toISOString());
+  assert.equal(history.updated_at, RUN1.toISOString());
+  assert.deepEqual(history.jobs['greenhouse-1'], {
+    firm_id: 1,
+    title: 'Project Architect',
+    url: 'https://boards.example.com/greenhouse-1',
+    posted_at: '2026-09-30T00:00:00.000Z',
+    first_seen: RUN1.toISOString(),
+    last_seen: RUN1.toISOString(),
+    closed_at: null
+  });
+  const [architect, designer] = firms[0].jobs;
+  assert.equal(architect.first_seen, RUN1.toISOString());
+  assert.equal(designer.posted_at, null);
+  assert.equal(firms[1].jobs[0].first_seen, undefined);
+});
+
+test('later runs carry first_seen over, refresh the rest and close unseen jobs', () => {
+  const history = { started_at: null, updated_at: null, jobs: {} };
+  recordRun(history, [{ id: 1, jobs: [job('lever-a', 'Urban Designer', { posted_at: '2026-10-01T00:00:00.000Z' }), job('lever-b', 'Drafter')] }], RUN1);
+
+  // lever-a moved firms, lost its posting date and was retitled; lever-b is gone; lever-c is new
+  const firms = [{ id: 7, jobs: [job('lever-a', 'Senior Urban Designer', { url: '' }), job('lever-c', 'Planner')] }];
+  const { added, closed } = recordRun(history, firms, RUN2);
+
+  assert.deepEqual(added, ['lever-c']);
+  assert.deepEqual(closed, ['lever-b']);
+  assert.equal(history.started_at, RUN1.toISOString());
+  const a = history.jobs['lever-a'];
+  assert.deepEqual([a.firm_id, a.title, a.url], [7, 'Senior Urban Designer', 'https://boards.example.com/lever-a']);
+  assert.deepEqual([a.first_seen, a.last_seen, a.posted_at], [RUN1.toISOString(), RUN2.toISOString(), '2026-10-01T00:00:00.000Z']);
+  // The output jobs get the carried-over values too
+  assert.equal(firms[0].jobs[0].first_seen, RUN1.toISOString());
+  assert.equal(firms[0].jobs[0].posted_at, '2026-10-01T00:00:00.000Z');
+  assert.deepEqual([history.jobs['lever-b'].closed_at, history.jobs['lever-b'].last_seen], [RUN2.toISOString(), RUN1.toISOString()]);
+  assert.equal(history.jobs['lever-c'].first_seen, RUN2.toISOString());
+});
+
+test('a closed job that comes back under the same ID starts over as new', () => {
+  const history = { started_at: null, updated_at: null, jobs: {} };
+  recordRun(history, [{ id: 1, jobs: [job('ashby-x', 'Architect')] }], RUN1);
+  recordRun(history, [{ id: 1, jobs: [] }], RUN2);
+  const { added, closed } = recordRun(history, [{ id: 1, jobs: [job('ashby-x', 'Architect')] }], RUN3);
+
+  assert.deepEqual(added, ['ashby-x']);
+  assert.deepEqual(closed, []);
+  assert.deepEqual([history.jobs['ashby-x'].first_seen, history.jobs['ashby-x'].closed_at], [RUN3.toISOString(), null]);
+});
+
+test('closed jobs are forgotten after 180 days; already-closed ones are not closed again', () => {
+  const history = { started_at: null, updated_at: null, jobs: {} };
+  recordRun(history, [{ id: 1, jobs: [job('workable-1', 'Architect'), job('workable-2', 'Designer')] }], RUN1);
+  recordRun(history, [{ id: 1, jobs: [job('workable-2', 'Designer')] }], RUN2);
+
+  const { closed } = recordRun(history, [{ id: 1, jobs: [] }], new Date(RUN2.getTime() + 179 * DAY));
+  assert.deepEqual(closed, ['workable-2']);
+  assert.ok(history.jobs['workable-1'], 'closed 179 days ago');
+
+  recordRun(history, [{ id: 1, jobs: [] }], new Date(RUN2.getTime() + 181 * DAY));
+  assert.equal(history.jobs['workable-1'], undefined);
+  assert.ok(history.jobs['workable-2'], 'closed 2 days ago');
+});
+
+test('a store from before started_at existed is not given one', () => {
+  const history = { updated_at: RUN1.toISOString(), jobs: {} };
+  recordRun(history, [{ id: 1, jobs: [job('greenhouse-9', 'Architect')] }], RUN2);
+  assert.equal(history.started_at, undefined);
+});
+
+test('saveHistory and loadHistory round-trip; a missing or broken file starts fresh', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+  const file = path.join(dir, 'job-history.json');
+  assert.deepEqual(loadHistory(file), { started_at: null, updated_at: null, jobs: {} });
+
+  const history = loadHistory(file);
+  recordRun(history, [{ id: 3, jobs: [job('bamboohr-studio-4', 'Intern')] }], RUN1);
+  saveHistory(file, history);
+  assert.deepEqual(loadHistory(file), history);
+
+  fs.writeFileSync(file, '{"jobs": null}');
+  assert.deepEqual(loadHistory(file).jobs, {});
+  fs.rmSync(dir, { recursive: true });
+});
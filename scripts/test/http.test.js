@@ -0,0 +1,197 @@
+/**
+ * The shared HTTP client against a local server: retries, Retry-After,
+ * per-host spacing, the ETag cache and record/replay through fixture-server.js.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createClient, fixturePath, retryAfterMs } = require('../lib/http');
+const { createFixtureServer } = require('../fixture-server');
+
+// Fast backoff and no spacing unless a test asks for it
+const FAST = { backoff: 5, maxBackoff: 20, minInterval: 0, recordDir: null, replay: null };
+
+// Serve `handler` on 127.0.0.1:<random port> until test `t` ends; requests are logged with their arrival time
+async function serve(t, handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push({ path: req.url, headers: req.headers, at: Date.now() });
+    handler(req, res, requests.length);
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const close = () => new Promise(r => (server.listening ? server.close(r) : r()));
+  t.after(close);
+  return { base, requests, close };
+}
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'http-'));
+}
+
+test('5xx and 429 are retried until they succeed', async t => {
+  const srv = await serve(t, (req, res, n) => {
+    res.writeHead(n === 1 ? 503 : n === 2 ? 429 : 200);
+    res.end(n < 3 ? '' : '{"ok":true}');
+  });
+  const resp = await createClient(FAST).request(srv.base + '/board');
+  assert.equal(resp.status, 200);
+  assert.equal(resp.attempts, 3);
+  assert.deepEqual(resp.json(), { ok: true });
+});
+
+test('retries stop after `retries` and return the last response', async t => {
+  const srv = await serve(t, (req, res) => { res.writeHead(502); res.end(); });
+  const resp = await createClient({ ...FAST, retries: 2 }).request(srv.base + '/');
+  assert.equal(resp.status, 502);
+  assert.equal(resp.ok, false);
+  assert.equal(resp.attempts, 3);
+  assert.equal(srv.requests.length, 3);
+});
+
+test('404 is an answer, not a failure to retry', async t => {
+  const srv = await serve(t, (req, res) => { res.writeHead(404); res.end(); });
+  const resp = await createClient(FAST).request(srv.base + '/missing');
+  assert.equal(resp.status, 404);
+  assert.equal(resp.attempts, 1);
+});
+
+test('reset connections and timeouts are retried', async t => {
+  const srv = await serve(t, (req, res, n) => {
+    if (n === 1) return req.socket.destroy();
+    if (n === 2) return setTimeout(() => res.end('late'), 300);
+    res.end('done');
+  });
+  const resp = await createClient({ ...FAST, timeout: 100 }).request(srv.base + '/');
+  assert.equal(resp.text, 'done');
+  assert.equal(resp.attempts, 3);
+});
+
+test('refused connections and unknown hosts fail at once', async t => {
+  const srv = await serve(t, () => {});
+  await srv.close();
+  const client = createClient(FAST);
+  const refused = await client.request(srv.base + '/');
+  assert.equal(refused.error, 'ECONNREFUSED');
+  assert.equal(refused.attempts, 1);
+  const unknown = await client.request('http://no-such-firm.invalid/careers');
+  assert.equal(unknown.error, 'ENOTFOUND');
+  assert.equal(unknown.attempts, 1);
+  const invalid = await client.request('not a url');
+  assert.equal(invalid.error, 'invalid_url');
+  assert.equal(invalid.attempts, 0);
+});
+
+test('Retry-After delays the retry and pauses the whole host', async t => {
+  const srv = await serve(t, (req, res, n) => {
+    if (n === 1) {
+      res.writeHead(429, { 'retry-after': '1' });
+      return res.end();
+    }
+    res.end(req.url);
+  });
+  const client = createClient({ ...FAST, concurrency: 2 });
+  const started = Date.now();
+  const first = client.request(srv.base + '/a');
+  // Let the 429 land before the second request starts
+  await new Promise(r => setTimeout(r, 100));
+  const [a, b] = await Promise.all([first, client.request(srv.base + '/b')]);
+  assert.equal(a.text, '/a');
+  assert.equal(a.attempts, 2);
+  assert.equal(b.text, '/b');
+  for (const r of srv.requests.slice(1)) assert.ok(r.at - started >= 950, `${r.path} waited ${r.at - started} ms`);
+});
+
+test('a Retry-After longer than maxRetryAfter returns the error instead of waiting', async t => {
+  const srv = await serve(t, (req, res) => { res.writeHead(503, { 'retry-after': '120' }); res.end(); });
+  const resp = await createClient({ ...FAST, maxRetryAfter: 1000 }).request(srv.base + '/');
+  assert.equal(resp.status, 503);
+  assert.equal(resp.attempts, 1);
+});
+
+test('retryAfterMs reads seconds and HTTP dates', () => {
+  const now = Date.parse('2026-10-19T06:00:00Z');
+  assert.equal(retryAfterMs('30', now), 30000);
+  assert.equal(retryAfterMs('Mon, 19 Oct 2026 06:00:10 GMT', now), 10000);
+  assert.equal(retryAfterMs('Mon, 19 Oct 2026 05:00:00 GMT', now), 0);
+  assert.equal(retryAfterMs('soon', now), null);
+  assert.equal(retryAfterMs(undefined, now), null);
+});
+
+test('requests to one host are spaced and limited; other hosts are not held up', async t => {
+  const srv = await serve(t, (req, res) => res.end(req.url));
+  const other = await serve(t, (req, res) => res.end(req.url));
+  const client = createClient({ ...FAST, concurrency: 4, hosts: { '127.0.0.1': { concurrency: 1, minInterval: 100 } } });
+  const started = Date.now();
+  // Limits are per host name, so localhost isn't held up by 127.0.0.1
+  const [x, y, z, w] = await Promise.all([
+    client.request(srv.base + '/1'),
+    client.request(srv.base + '/2'),
+    client.request(srv.base + '/3'),
+    client.request(other.base.replace('127.0.0.1', 'localhost') + '/4')
+  ]);
+  assert.deepEqual([x.text, y.text, z.text, w.text], ['/1', '/2', '/3', '/4']);
+  const at = srv.requests.map(r => r.at);
+  // Arrival times, so allow for the first request's connection setup
+  assert.ok(at[1] - at[0] >= 70 && at[2] - at[1] >= 70, `gaps ${at[1] - at[0]}, ${at[2] - at[1]} ms`);
+  assert.ok(other.requests[0].at - started < 70, 'localhost was not paced with 127.0.0.1');
+});
+
+test('ETag responses are cached and revalidated with If-None-Match', async t => {
+  const srv = await serve(t, (req, res) => {
+    if (req.headers['if-none-match'] === '"v1"') {
+      res.writeHead(304);
+      return res.end();
+    }
+    res.writeHead(200, { etag: '"v1"', 'content-type': 'application/json' });
+    res.end('{"jobs":[1,2]}');
+  });
+  const dir = tempDir();
+  const client = createClient({ ...FAST, cacheDir: dir });
+  const fresh = await client.request(srv.base + '/jobs');
+  assert.equal(fresh.cached, false);
+  const again = await client.request(srv.base + '/jobs');
+  assert.equal(srv.requests[1].headers['if-none-match'], '"v1"');
+  assert.equal(again.status, 200);
+  assert.equal(again.cached, true);
+  assert.deepEqual(again.json(), { jobs: [1, 2] });
+  // cache: false neither sends the ETag nor reads the cache
+  const uncached = await client.request(srv.base + '/jobs', { cache: false });
+  assert.equal(srv.requests[2].headers['if-none-match'], undefined);
+  assert.equal(uncached.cached, false);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('recorded responses replay through fixture-server.js', async t => {
+  const srv = await serve(t, (req, res) => {
+    res.writeHead(200, { 'content-type': 'application/json', etag: '"b1"', 'x-request-id': 'abc' });
+    res.end('{"board":"fieldwork"}');
+  });
+  const dir = tempDir();
+  const url = srv.base + '/v1/boards/fieldwork/jobs?content=true';
+  await createClient({ ...FAST, recordDir: dir }).request(url);
+  const fixture = JSON.parse(fs.readFileSync(fixturePath(dir, 'GET', url), 'utf8'));
+  assert.deepEqual([fixture.url, fixture.method, fixture.status, fixture.body], [url, 'GET', 200, '{"board":"fieldwork"}']);
+  await srv.close();
+
+  // The recorded host is gone; the replay server answers for it
+  const replay = createFixtureServer(dir, () => {});
+  await new Promise(r => replay.listen(0, '127.0.0.1', r));
+  t.after(() => new Promise(r => replay.close(r)));
+  const cacheDir = tempDir();
+  const client = createClient({ ...FAST, replay: `http://127.0.0.1:${replay.address().port}`, cacheDir });
+  const resp = await client.request(url);
+  assert.equal(resp.url, url);
+  assert.deepEqual(resp.json(), { board: 'fieldwork' });
+  assert.equal(resp.headers.etag, '"b1"');
+  assert.equal(resp.headers['x-request-id'], undefined);
+  // The fixture's ETag makes the next request a 304 served from the cache
+  assert.equal((await client.request(url)).cached, true);
+  assert.equal((await client.request(srv.base + '/v1/boards/unknown/jobs')).status, 404);
+  fs.rmSync(dir, { recursive: true });
+  fs.rmSync(cacheDir, { recursive: true });
+});
@@ -0,0 +1,123 @@
+/**
+ * firms-base.json lint: which entries block the pipeline and which only warn.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { lintFirms, formatIssue } = require('../lib/lint');
+const { validate } = require('../lib/schema');
+
+function firm(overrides = {}) {
+  return {
+    id: 1,
+    name: 'Fieldwork Design',
+    city: 'Portland',
+    state: 'OR',
+    lat: 45.52,
+    lng: -122.68,
+    size: 40,
+    discipline: 'architecture',
+    specialties: ['Civic'],
+    jobs: [],
+    website: 'https://fieldwork.example.com',
+    about: 'Civic and cultural work in the Pacific Northwest.',
+    greenhouse_slug: null,
+    ...overrides
+  };
+}
+
+function rules(issues) {
+  return issues.map(i => `${i.id}:${i.rule}`);
+}
+
+test('valid firms pass with no issues', () => {
+  const firms = [
+    firm(),
+    firm({ id: 2, name: 'Commons Urbanism', city: 'Chicago', state: 'IL', lat: 41.88, lng: -87.63, size: 'Unknown', discipline: 'urban', website: '', lever_slug: 'commons' }),
+    firm({
+      id: 3, name: 'Rivers Landscape', city: 'Toronto', state: 'ON', lat: 43.65, lng: -79.38, discipline: 'landscape',
+      aliases: ['Rivers LA'],
+      ats_probe: { probed_at: '2026-10-01', verified: { lever: { slug: 'rivers', confidence: 0.9, verified_at: '2026-10-01' } } },
+      jobs: [{ id: 'lever-1', title: 'Landscape Designer', type: 'Full-time', period: 'year', currency: 'CAD', salary_min: 70000, salary_max: 85000 }]
+    })
+  ];
+  assert.deepEqual(lintFirms(firms), { errors: [], warnings: [] });
+});
+
+test('schema violations are blocking errors', () => {
+  const firms = [
+    firm({ id: 1, discipline: 'interiors' }),
+    firm({ id: 2, name: 'No Size', size: 0 }),
+    firm({ id: 3, name: 'Bad State', state: 'Oregon' }),
+    firm({ id: 4, name: 'Bad Coordinates', lat: 95 }),
+    firm({ id: 5, name: 'Unknown Field', headcount: 12 }),
+    firm({ id: 6, name: 'Bad Job', jobs: [{ title: 'Architect', type: 'Full-time', seniority: 'staff' }] })
+  ];
+  const { errors } = lintFirms(firms);
+  assert.deepEqual(rules(errors), ['1:schema', '2:schema', '3:schema', '4:schema', '5:schema', '6:schema']);
+  assert.match(errors[0].message, /^discipline: "interiors" is not one of architecture, landscape, urban, multi$/);
+  assert.match(errors[4].message, /unknown field "headcount"/);
+  assert.match(errors[5].message, /^jobs\/0\/seniority:/);
+
+  const missing = firm({ id: 7 });
+  delete missing.about;
+  assert.deepEqual(lintFirms([missing]).errors.map(e => e.message), ['entry: missing required field "about"']);
+});
+
+test('duplicate IDs and names are errors', () => {
+  const { errors } = lintFirms([
+    firm(),
+    firm({ name: 'Another Studio', city: 'Boise', state: 'ID', lat: 43.6, lng: -116.2 }),
+    firm({ id: 3, name: ' fieldwork design ', city: 'Bend', lat: 44.06, lng: -121.31 })
+  ]);
+  assert.deepEqual(rules(errors), ['1:duplicate-id', '3:duplicate-name']);
+  assert.equal(errors[0].message, 'id 1 is also used by Fieldwork Design');
+});
+
+test('a website that is not an http(s) URL with a real hostname is an error', () => {
+  const bad = ['fieldwork.example.com', 'ftp://fieldwork.example.com', 'https://localhost', 'https://fieldwork', 'http://'];
+  const firms = bad.map((website, i) => firm({ id: i + 1, name: `Studio ${i + 1}`, website }));
+  const { errors } = lintFirms(firms);
+  assert.deepEqual(rules(errors), ['1:website', '2:website', '3:website', '4:website', '5:website']);
+  assert.equal(errors[0].message, '"fieldwork.example.com" is not a valid http(s) URL');
+  assert.deepEqual(lintFirms([firm({ website: 'http://fieldwork.example.co.uk/studio' })]).errors, []);
+});
+
+test('coordinates outside the state and near-duplicate names only warn', () => {
+  const { errors, warnings } = lintFirms([
+    firm(),
+    firm({ id: 2, name: 'Fieldwork Design.', lat: 45.53, lng: -122.66 }),
+    // Same name far away is a different office, not a duplicate
+    firm({ id: 3, name: 'Fieldwork Designs', city: 'Boise', state: 'ID', lat: 43.6, lng: -116.2 }),
+    // Portland, ME with Oregon coordinates
+    firm({ id: 4, name: 'Casco Studio', city: 'Portland', state: 'ME' })
+  ]);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(rules(warnings), ['4:coordinates', '2:near-duplicate']);
+  assert.equal(warnings[1].message, 'looks like Fieldwork Design (id 1) in Portland');
+});
+
+test('a file that is not an array is one error', () => {
+  const { errors } = lintFirms({ firms: [] });
+  assert.deepEqual(errors, [{ id: null, name: null, rule: 'schema', message: 'firms-base.json must be an array of firms' }]);
+});
+
+test('formatIssue', () => {
+  assert.equal(formatIssue({ id: 12, name: 'Fieldwork', rule: 'website', message: 'bad' }), '  [website] #12 Fieldwork — bad');
+});
+
+test('validate covers anyOf, const, $ref and patternProperties', () => {
+  const schema = {
+    definitions: { slug: { type: ['string', 'null'], minLength: 1 } },
+    type: 'object',
+    properties: { size: { anyOf: [{ type: 'integer', minimum: 1 }, { const: 'Unknown' }] } },
+    patternProperties: { '^[a-z]+_slug$': { $ref: '#/definitions/slug' } },
+    additionalProperties: false
+  };
+  assert.deepEqual(validate({ size: 'Unknown', lever_slug: null }, schema), []);
+  assert.deepEqual(validate({ size: 'big', lever_slug: '', extra: 1 }, schema), [
+    { path: '/size', message: '"big" does not match any allowed form' },
+    { path: '/lever_slug', message: 'must not be empty' },
+    { path: '/', message: 'unknown field "extra"' }
+  ]);
+});
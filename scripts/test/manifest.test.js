@@ -0,0 +1,154 @@
+/**
+ * Run manifest: the diff against the published snapshot and the guardrails
+ * that decide whether a run may replace it.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { writeShards } = require('../lib/shards');
+const {
+  DEFAULT_GUARDRAILS, createManifest, sourceStats, countResponse,
+  loadPublished, countTotals, diffRuns, loadGuardrails, checkGuardrails, isForced
+} = require('../lib/manifest');
+
+const RULES = { ...DEFAULT_GUARDRAILS, required_sources: ['greenhouse', 'lever'] };
+
+function firm(id, name, jobs) {
+  return { id, name, city: 'Portland', state: 'OR', lat: 45.5, lng: -122.7, size: 40, discipline: 'architecture', specialties: [], about: '', website: '', jobs };
+}
+
+function jobs(prefix, n) {
+  return Array.from({ length: n }, (_, i) => ({ id: `${prefix}-${i}`, title: `Architect ${i}` }));
+}
+
+// The published snapshot, written and read back the way fetch-jobs.js does
+function published(t, firms) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-'));
+  t.after(() => fs.rmSync(dir, { recursive: true }));
+  writeShards(firms, dir, new Date('2026-10-12T06:00:00.000Z'));
+  return loadPublished(dir);
+}
+
+// A manifest for `firms` with greenhouse and lever both answering
+function run(firms, previous, { greenhouse = 10, lever = 10 } = {}) {
+  const manifest = createManifest(new Date('2026-10-19T06:00:00.000Z'));
+  for (const [id, count] of Object.entries({ greenhouse, lever })) {
+    const stats = sourceStats(manifest, id);
+    for (let i = 0; i < 10; i++) countResponse(stats, { ok: true, status: 200, attempts: 1, error: null, cached: false });
+    stats.jobs = count;
+  }
+  manifest.totals = countTotals(firms);
+  manifest.changes = diffRuns(previous, firms);
+  return manifest;
+}
+
+function failed(manifest) {
+  return manifest.guardrails.filter(c => !c.passed).map(c => c.name);
+}
+
+test('loadPublished reads the snapshot back from the shards', t => {
+  const previous = published(t, [firm(1, 'Fieldwork', jobs('greenhouse', 3)), firm(2, 'Commons', [])]);
+  assert.equal(previous.generated_at, '2026-10-12T06:00:00.000Z');
+  assert.deepEqual(previous.totals, { firms: 2, firms_with_jobs: 1, jobs: 3 });
+  assert.deepEqual(previous.firms.get(1).jobs[0], { id: 'greenhouse-0', title: 'Architect 0' });
+  assert.equal(loadPublished(path.join(os.tmpdir(), 'no-such-snapshot')), null);
+});
+
+test('diffRuns lists added and removed jobs per firm, including firms that left', t => {
+  const previous = published(t, [firm(1, 'Fieldwork', jobs('greenhouse', 3)), firm(2, 'Commons', jobs('lever', 2))]);
+  const now = [firm(1, 'Fieldwork', [...jobs('greenhouse', 2), { id: 'greenhouse-new', title: 'Planner' }, { id: 'greenhouse-new2', title: 'Drafter' }])];
+  const changes = diffRuns(previous, now);
+  assert.deepEqual([changes.since, changes.added, changes.removed], ['2026-10-12T06:00:00.000Z', 2, 3]);
+  // Most changed first
+  assert.deepEqual(changes.firms, [
+    { id: 1, name: 'Fieldwork', added: ['Planner', 'Drafter'], removed: ['Architect 2'] },
+    { id: 2, name: 'Commons', added: [], removed: ['Architect 0', 'Architect 1'] }
+  ]);
+  assert.equal(diffRuns(null, now), null);
+});
+
+test('pass: a normal run against the published snapshot', t => {
+  const previous = published(t, [firm(1, 'Fieldwork', jobs('greenhouse', 10)), firm(2, 'Commons', jobs('lever', 10))]);
+  const now = [firm(1, 'Fieldwork', jobs('greenhouse', 8)), firm(2, 'Commons', jobs('lever', 9))];
+  const manifest = run(now, previous);
+  assert.equal(checkGuardrails(manifest, previous, RULES), true);
+  assert.deepEqual(manifest.guardrails.map(c => c.name), ['job count', 'firms with jobs', 'greenhouse returned jobs', 'lever returned jobs', 'greenhouse failures', 'lever failures']);
+  assert.equal(manifest.guardrails[0].message, '20 → 17 (−15%, limit −40%)');
+});
+
+test('block: the job count drops past the limit', t => {
+  const previous = published(t, [firm(1, 'Fieldwork', jobs('greenhouse', 10)), firm(2, 'Commons', jobs('lever', 10))]);
+  const now = [firm(1, 'Fieldwork', jobs('greenhouse', 10)), firm(2, 'Commons', jobs('lever', 1))];
+  const manifest = run(now, previous, { lever: 1 });
+  assert.equal(checkGuardrails(manifest, previous, RULES), false);
+  assert.deepEqual(failed(manifest), ['job count']);
+  assert.equal(manifest.guardrails[0].message, '20 → 11 (−45%, limit −40%)');
+});
+
+test('block: firms with jobs drop past the limit', t => {
+  const previous = published(t, [1, 2, 3, 4, 5].map(id => firm(id, `Firm ${id}`, jobs(`greenhouse-${id}`, 2))));
+  const now = [firm(1, 'Firm 1', jobs('greenhouse-1', 6)), firm(2, 'Firm 2', jobs('greenhouse-2', 4))];
+  const manifest = run(now, previous);
+  assert.equal(checkGuardrails(manifest, previous, RULES), false);
+  assert.deepEqual(failed(manifest), ['firms with jobs']);
+});
+
+test('block: a required source returned nothing or never ran', t => {
+  const previous = published(t, [firm(1, 'Fieldwork', jobs('greenhouse', 10))]);
+  const now = [firm(1, 'Fieldwork', jobs('greenhouse', 10))];
+  const manifest = run(now, previous, { lever: 0 });
+  assert.equal(checkGuardrails(manifest, previous, RULES), false);
+  assert.deepEqual(failed(manifest), ['lever returned jobs']);
+
+  const missing = run(now, previous);
+  delete missing.sources.lever;
+  assert.equal(checkGuardrails(missing, previous, { ...RULES, required_sources: ['lever', 'ashby'] }), false);
+  assert.deepEqual(failed(missing), ['lever returned jobs', 'ashby returned jobs']);
+});
+
+test('block: a source whose requests mostly failed; 404s are not failures', t => {
+  const previous = published(t, [firm(1, 'Fieldwork', jobs('greenhouse', 10))]);
+  const now = [firm(1, 'Fieldwork', jobs('greenhouse', 10))];
+  const manifest = run(now, previous);
+  const careers = sourceStats(manifest, 'careers', 'Careers pages');
+  for (let i = 0; i < 4; i++) countResponse(careers, { ok: false, status: 404, attempts: 1, error: null });
+  countResponse(careers, { ok: false, status: 0, attempts: 3, error: 'timeout' });
+  assert.equal(checkGuardrails(manifest, previous, RULES), true);
+
+  for (let i = 0; i < 3; i++) countResponse(careers, { ok: false, status: 503, attempts: 4, error: null });
+  countResponse(careers, { ok: false, status: 0, attempts: 1, error: 'ECONNRESET' });
+  assert.equal(checkGuardrails(manifest, previous, RULES), false);
+  assert.deepEqual(failed(manifest), ['careers failures']);
+  assert.deepEqual([careers.timeouts, careers.network_errors, careers.http_errors, careers.not_found, careers.retries], [1, 1, { 503: 3 }, 4, 11]);
+});
+
+test('with no published snapshot only the source checks apply', () => {
+  const manifest = run([firm(1, 'Fieldwork', jobs('greenhouse', 1))], null);
+  assert.equal(checkGuardrails(manifest, null, RULES), true);
+  assert.deepEqual(manifest.guardrails.map(c => c.name), ['greenhouse returned jobs', 'lever returned jobs', 'greenhouse failures', 'lever failures']);
+});
+
+test('force: --force or PUBLISH_FORCE=1 publishes a blocked run', t => {
+  const previous = published(t, [firm(1, 'Fieldwork', jobs('greenhouse', 10))]);
+  const manifest = run([firm(1, 'Fieldwork', [])], previous, { greenhouse: 0 });
+  const passed = checkGuardrails(manifest, previous, RULES);
+  assert.equal(passed, false);
+
+  assert.equal(isForced(['node', 'fetch-jobs.js'], {}), false);
+  assert.equal(isForced(['node', 'fetch-jobs.js', '--force'], {}), true);
+  assert.equal(isForced(['node', 'fetch-jobs.js'], { PUBLISH_FORCE: '1' }), true);
+  assert.equal(isForced(['node', 'fetch-jobs.js'], { PUBLISH_FORCE: '0' }), false);
+  assert.equal(passed || isForced(['node', 'fetch-jobs.js', '--force'], {}), true);
+});
+
+test('loadGuardrails fills in defaults', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'guardrails-'));
+  t.after(() => fs.rmSync(dir, { recursive: true }));
+  const file = path.join(dir, 'guardrails.json');
+  assert.deepEqual(loadGuardrails(file), DEFAULT_GUARDRAILS);
+  fs.writeFileSync(file, JSON.stringify({ max_job_drop_pct: 25, required_sources: ['greenhouse'] }));
+  assert.deepEqual(loadGuardrails(file), { ...DEFAULT_GUARDRAILS, max_job_drop_pct: 25, required_sources: ['greenhouse'] });
+});
@@ -0,0 +1,90 @@
+/**
+ * Relevance scoring and the accept / borderline / reject thresholds.
+ *
+ * Titles alone, then the other signals and the report a batch leaves behind.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_THRESHOLDS, scoreRelevance, relevanceDecision, createReport, screenJobs } = require('../lib/relevance');
+
+const TITLES = {
+  accept: [
+    'Project Architect',
+    'Senior Landscape Architect',
+    'Urban Planner',
+    'Interior Designer',
+    'BIM Coordinator',
+    'Architectural Intern',
+    'Job Captain'
+  ],
+  borderline: [
+    'Designer',
+    'Drafter',
+    'Project Manager',
+    'Studio Coordinator',
+    '3D Visualization Artist'
+  ],
+  reject: [
+    // No signal either way
+    'Coordinator',
+    'Associate',
+    // Marketing, admin, IT, finance and non-design engineering
+    'Marketing Manager',
+    'Marketing Coordinator',
+    'Office Coordinator',
+    'Executive Assistant',
+    'Administrative Assistant',
+    'IT Manager',
+    'Data Analyst',
+    'Software Engineer',
+    'Staff Accountant',
+    'Financial Analyst',
+    'Electrical Engineer',
+    'Structural Engineer',
+    'Mechanical Engineer',
+    // Sales and grounds crews
+    'Sales Representative',
+    'Landscape Maintenance Foreman'
+  ]
+};
+
+for (const [expected, titles] of Object.entries(TITLES)) {
+  for (const title of titles) {
+    test(`${title}: ${expected}`, () => {
+      const { score, reasons } = scoreRelevance({ title });
+      assert.equal(relevanceDecision(score), expected, `score ${score}: ${reasons.join('; ')}`);
+    });
+  }
+}
+
+test('a job needs at least one design signal to be kept', () => {
+  assert.equal(DEFAULT_THRESHOLDS.reject, 1);
+  assert.equal(relevanceDecision(0), 'reject');
+  assert.equal(relevanceDecision(1), 'borderline');
+  assert.equal(relevanceDecision(DEFAULT_THRESHOLDS.accept), 'accept');
+});
+
+test('department, description and employer move a title across thresholds', () => {
+  assert.equal(relevanceDecision(scoreRelevance({ title: 'Coordinator' }, { department: 'Design Technology' }).score), 'borderline');
+  assert.equal(relevanceDecision(scoreRelevance({ title: 'Designer' }, { department: 'Marketing' }).score), 'reject');
+  assert.equal(relevanceDecision(scoreRelevance({ title: 'Designer' }, { description: 'Revit, Rhino and construction documents.' }).score), 'accept');
+  assert.equal(relevanceDecision(scoreRelevance({ title: 'Designer' }, { employer: 'Green Lawn Landscaping' }).score), 'reject');
+});
+
+test('description signals are capped on each side', () => {
+  const { score } = scoreRelevance({ title: 'Associate' }, { description: 'revit autocad rhino sketchup ncarb aicp' });
+  assert.equal(score, 3);
+});
+
+test('screenJobs keeps accepted and borderline jobs and reports the rest', () => {
+  const report = createReport();
+  const jobs = ['Project Architect', 'Designer', 'Coordinator', 'Marketing Manager'].map(title => ({ title, url: 'https://example.com/' + title.length }));
+  const kept = screenJobs(jobs, { source: 'greenhouse', firm: 'Fieldwork' }, report);
+  assert.deepEqual(kept.map(j => j.title), ['Project Architect', 'Designer']);
+  assert.deepEqual(report.counts, { accept: 1, borderline: 1, reject: 2 });
+  assert.deepEqual(report.borderline.map(e => e.title), ['Designer']);
+  assert.deepEqual(report.rejected.map(e => [e.title, e.score]), [['Coordinator', 0], ['Marketing Manager', -5]]);
+  assert.deepEqual(report.rejected[0].reasons, []);
+  assert.equal(report.rejected[1].firm, 'Fieldwork');
+});
@@ -0,0 +1,80 @@
+/**
+ * Salary parsing from free text and structured ATS fields.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { makeSalary, parseSalaryText, formatSalary, applySalary } = require('../lib/salary');
+
+// [text, salary_min, salary_max, currency, period] — or [text, null] when nothing should be found
+const TEXT_CASES = [
+  ['$80k–$95k', 80000, 95000, 'USD', 'year'],
+  ['$80K - $95K', 80000, 95000, 'USD', 'year'],
+  ['$80k–$95k USD', 80000, 95000, 'USD', 'year'],
+  ['$90k-$70k', 70000, 90000, 'USD', 'year'],
+  ['USD 70,000 - 90,000 per year', 70000, 90000, 'USD', 'year'],
+  ['The salary range for this role is $95,000 to $120,000.', 95000, 120000, 'USD', 'year'],
+  ['$25.00 - $32.00 per hour', 25, 32, 'USD', 'hour'],
+  ['$28/hr', 28, 28, 'USD', 'hour'],
+  ['$45 an hour', 45, 45, 'USD', 'hour'],
+  ['Pay range: $6,500 - $8,000 monthly', 6500, 8000, 'USD', 'month'],
+  ['£40,000 - £50,000', 40000, 50000, 'GBP', 'year'],
+  ['€3,500 per month', 3500, 3500, 'EUR', 'month'],
+  // Single values: the size of the number says the period
+  ['$85,000', 85000, 85000, 'USD', 'year'],
+  ['Starting at $72,000 annually', 72000, 72000, 'USD', 'year'],
+  ['$12', 12, 12, 'USD', 'hour'],
+  // Pay-transparency wording beats a stray amount
+  ['Projects from $50,000. Hiring range: $88,000 - $104,000 per year.', 88000, 104000, 'USD', 'year'],
+  // Junk
+  ['Competitive salary and benefits', null],
+  ['Project budgets of $2,000,000 and up', null],
+  ['$1,500', null],
+  ['N/A', null],
+  ['', null],
+  [null, null]
+];
+
+for (const [text, min, max, currency, period] of TEXT_CASES) {
+  test(`parseSalaryText(${JSON.stringify(text)})`, () => {
+    const expected = min === null ? null : { salary_min: min, salary_max: max, currency, period };
+    assert.deepEqual(parseSalaryText(text), expected);
+  });
+}
+
+test('makeSalary normalizes structured values', () => {
+  // Greenhouse currency_range metadata and Ashby compensation tiers
+  assert.deepEqual(makeSalary('118000.0', '152000.0', 'usd', null), { salary_min: 118000, salary_max: 152000, currency: 'USD', period: 'year' });
+  assert.deepEqual(makeSalary(24, 28, 'USD', 'hour'), { salary_min: 24, salary_max: 28, currency: 'USD', period: 'hour' });
+  // Lever and Ashby period labels
+  assert.deepEqual(makeSalary(30, 40, null, 'per-hour-wage').period, 'hour');
+  assert.deepEqual(makeSalary(85000, 105000, 'USD', '1 YEAR').period, 'year');
+  // One bound fills the other; reversed bounds are swapped
+  assert.deepEqual(makeSalary(null, 90000, 'USD', 'year'), { salary_min: 90000, salary_max: 90000, currency: 'USD', period: 'year' });
+  assert.deepEqual(makeSalary(95000, 80000, 'USD', 'year'), { salary_min: 80000, salary_max: 95000, currency: 'USD', period: 'year' });
+  assert.equal(makeSalary(12.345, 20, 'USD', 'hour').salary_min, 12.35);
+});
+
+test('makeSalary rejects missing and implausible values', () => {
+  assert.equal(makeSalary(null, null), null);
+  assert.equal(makeSalary('', 'n/a', 'USD', 'year'), null);
+  assert.equal(makeSalary(3000000, 4000000, 'USD', 'year'), null);
+  assert.equal(makeSalary(100, 120, 'USD', 'year'), null);
+  assert.equal(makeSalary(95000, 110000, 'USD', 'hour'), null);
+  // Neither the text nor the amount says what period 5,000 is
+  assert.equal(makeSalary(5000, 6000, 'USD', null), null);
+});
+
+test('formatSalary and applySalary', () => {
+  assert.equal(formatSalary(null), 'See listing');
+  assert.equal(formatSalary({ salary_min: 80000, salary_max: 95000, currency: 'USD', period: 'year' }), '$80K–$95K');
+  assert.equal(formatSalary({ salary_min: 25.5, salary_max: 25.5, currency: 'USD', period: 'hour' }), '$25.50/hr');
+  assert.equal(formatSalary({ salary_min: 6500, salary_max: 8000, currency: 'USD', period: 'month' }), '$7K–$8K/mo');
+  assert.equal(formatSalary({ salary_min: 40000, salary_max: 50000, currency: 'GBP', period: 'year' }), 'GBP $40K–$50K');
+
+  const job = { title: 'Designer', salary: 'See listing' };
+  assert.equal(applySalary(job, null), job);
+  assert.equal(job.salary, 'See listing');
+  applySalary(job, parseSalaryText('$28/hr'));
+  assert.deepEqual(job, { title: 'Designer', salary: '$28/hr', salary_min: 28, salary_max: 28, currency: 'USD', period: 'hour' });
+});
@@ -14,6 +14,20 @@
 })();
 
 /* ----- Subscribe Handler — sends email to Google Sheets ----- */
+var SUBSCRIBE_URL = 'https://script.google.com/macros/s/AKfycbws9nPFsEYYueyUbTIDEodASQOzvwa0Pmr7QfAW-nXkSTDgl4NtYjqGEJBLdEbAkcM/exec';
+
+/* Posts to the subscribe endpoint. A bare { email } is a newsletter signup;
+   MapVoid job alerts add an `alert` with the saved filters. */
+function sendSubscription(data) {
+  return fetch(SUBSCRIBE_URL, {
+    method: 'POST',
+    mode: 'no-cors',
+    redirect: 'follow',
+    body: JSON.stringify(data),
+    headers: { 'Content-Type': 'text/plain;charset=utf-8' }
+  });
+}
+
 function handleSubscribe(e) {
   e.preventDefault();
   var email = document.getElementById('subEmail').value;
@@ -24,13 +38,7 @@ function handleSubscribe(e) {
   btn.textContent = 'Sending...';
   btn.disabled = true;
 
-  fetch('https://script.google.com/macros/s/AKfycbws9nPFsEYYueyUbTIDEodASQOzvwa0Pmr7QfAW-nXkSTDgl4NtYjqGEJBLdEbAkcM/exec', {
-    method: 'POST',
-    mode: 'no-cors',
-    redirect: 'follow',
-    body: JSON.stringify({ email: email }),
-    headers: { 'Content-Type': 'text/plain;charset=utf-8' }
-  })
+  sendSubscription({ email: email })
   .then(function() {
     form.style.display = 'none';
     msg.style.display = 'block';